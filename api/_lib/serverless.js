@@ -0,0 +1,22 @@
+import express from 'express';
+import dbConnect from '../../config/dbConnect.js';
+import { configureApp } from '../../config/express.js';
+import { errorHandler } from '../../middleware/errors.js';
+
+// A serverless function (e.g. Vercel's api/ directory) serving `router` under /api exactly as
+// server.js does: same routes, middleware, validation and error responses. The platform calls
+// the returned Express app with each request. The database connection is cached between
+// invocations of a warm function (config/dbConnect.js); background jobs only run on the server.
+export function serverless(router) {
+    const app = configureApp(express());
+
+    app.use(async (req, res, next) => {
+        await dbConnect();
+        next();
+    });
+    app.use('/api', router);
+
+    app.use((req, res) => res.status(404).json({ message: 'Not Found', code: 'ROUTE_NOT_FOUND' }));
+    app.use(errorHandler);
+    return app;
+}
@@ -0,0 +1,23 @@
+import express from 'express';
+import cors from 'cors';
+import { errorEnvelope } from '../middleware/errors.js';
+
+// Settings and middleware every Express app starts with: the server (server.js) and the
+// serverless functions (api/_lib/serverless.js)
+export function configureApp(app) {
+    // Client IPs (rate limits, security events) come from X-Forwarded-For only when set by a proxy we trust.
+    // TRUST_PROXY: 'loopback' (default, e.g. nginx on the same host), a hop count like 1, or 'true'
+    const trustProxy = process.env.TRUST_PROXY || 'loopback';
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+
+    // Error responses always carry { success: false, message, code }
+    app.use(errorEnvelope);
+
+    app.use(express.json({
+        limit: '2mb', // Question bank imports
+        // Keep the raw payload around for webhook signature checks
+        verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
+    app.use(cors());
+    return app;
+}
@@ -0,0 +1,87 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Admin from '../models/Admin.js';
+import { ADMIN_TOKEN_AUDIENCE } from '../services/auth.js';
+import { findActiveSession } from '../services/sessions.js';
+
+// Student routes: requires a valid access token whose session is still active.
+// Sets req.user to the token payload ({ _id, mobile, name, sid }) and req.sessionId.
+export const verifyToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    if (!authHeader) return res.status(401).json({ message: "Access Denied. No Token Provided.", code: 'AUTH_REQUIRED' });
+
+    const token = authHeader.split(' ')[1];
+    if (!token) return res.status(401).json({ message: "Access Denied. Malformed Token.", code: 'TOKEN_INVALID' });
+
+    let verified;
+    try {
+        verified = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: "Token expired. Refresh your session or login again.", code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(400).json({ message: "Invalid or Expired Token", code: 'TOKEN_INVALID' });
+    }
+    if (verified.aud) return res.status(400).json({ message: "Invalid or Expired Token", code: 'TOKEN_INVALID' }); // Admin tokens
+
+    try {
+        req.user = verified;
+
+        if (verified.sid) {
+            const session = await findActiveSession(verified.sid, verified._id);
+            if (!session) return res.status(401).json({ message: "Logged out on this device. Please login again.", code: 'SESSION_REVOKED' });
+            req.sessionId = session._id;
+            return next();
+        }
+
+        // Tokens issued before sessions existed: single device check against User.sessionToken
+        const user = await User.findById(req.user._id);
+        if (!user) return res.status(401).json({ message: "User not found.", code: 'USER_NOT_FOUND' });
+
+        if (user.sessionToken !== token) {
+            return res.status(401).json({ message: "Logged in on another device. Please login again.", code: 'SESSION_REVOKED' });
+        }
+
+        next();
+    } catch (err) {
+        console.error("Auth Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// Public routes that do more for a logged-in student: without an Authorization header the
+// request goes on anonymously (no req.user), with one it must pass verifyToken.
+export const optionalToken = (req, res, next) => {
+    if (!req.headers['authorization']) return next();
+    return verifyToken(req, res, next);
+};
+
+// Admin routes: requires an admin token, optionally limited to `roles`.
+// Sets req.admin to the Admin document.
+export const requireAdmin = (...roles) => async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return res.status(401).json({ message: "Access Denied. No Token Provided.", code: 'AUTH_REQUIRED' });
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { audience: ADMIN_TOKEN_AUDIENCE });
+    } catch (err) {
+        return res.status(401).json({ message: "Invalid or Expired Token", code: 'TOKEN_INVALID' });
+    }
+
+    try {
+        const admin = await Admin.findById(payload.adminId);
+        if (!admin || !admin.isActive) return res.status(401).json({ message: "Admin account not found or disabled.", code: 'ADMIN_DISABLED' });
+
+        if (roles.length > 0 && !roles.includes(admin.role)) {
+            return res.status(403).json({ message: "You don't have permission to do this." });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (err) {
+        console.error("Admin Auth Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
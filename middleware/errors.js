@@ -0,0 +1,49 @@
+import { ServiceError, codeForStatus } from '../services/errors.js';
+
+// Every API error goes out as { success: false, message, code, details? }.
+
+// Error responses written directly by route handlers (`res.status(404).json({ message })`)
+// are given the envelope fields they're missing, so clients can rely on `code` everywhere.
+export function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+            body = { success: false, ...body, code: body.code || codeForStatus(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Turn anything thrown by a route into the error envelope. Only ServiceErrors (and
+// malformed requests caught by express/mongoose) are described to the client; anything
+// else is logged and reported as a generic 500 so internals never leak.
+function toServiceError(err) {
+    if (err instanceof ServiceError) return err;
+
+    // express.json()
+    if (err.type === 'entity.parse.failed') return new ServiceError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+    if (err.type === 'entity.too.large') return new ServiceError(413, 'Request body is too large', 'PAYLOAD_TOO_LARGE');
+
+    if (err.name === 'CastError') return new ServiceError(400, `Invalid ${err.path}`, 'VALIDATION_FAILED', { fields: [{ field: err.path, message: `Invalid ${err.path}` }] });
+    if (err.name === 'ValidationError' && err.errors) {
+        const fields = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+        return new ServiceError(400, fields[0]?.message || 'Invalid data', 'VALIDATION_FAILED', { fields });
+    }
+
+    return null;
+}
+
+export function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    const known = toServiceError(err);
+    if (!known) {
+        console.error(`Unhandled Error (${req.method} ${req.originalUrl}):`, err);
+        return res.status(500).json({ success: false, message: 'Server Error', code: 'INTERNAL_ERROR' });
+    }
+
+    const body = { success: false, message: known.message, code: known.code };
+    if (known.details !== undefined) body.details = known.details;
+    res.status(known.status).json(body);
+}
@@ -0,0 +1,44 @@
+import { getStore } from '../services/rateLimitStore.js';
+import { recordSecurityEvent } from '../services/security.js';
+
+// Key builders for rateLimit()
+export const byIp = (req) => req.ip;
+export const byMobile = (...fields) => (req) => {
+    for (const field of fields) {
+        if (req.body?.[field]) return String(req.body[field]).trim();
+    }
+    return null;
+};
+
+// Allow at most `max` requests per `windowMs` for each key returned by `key(req)`
+// (requests without a key are not limited). Counters live in the rate limit store.
+export function rateLimit({ name, windowMs, max, key = byIp, message = 'Too many requests. Please try again later.' }) {
+    return async (req, res, next) => {
+        const id = key(req);
+        if (!id) return next();
+
+        let counter;
+        try {
+            counter = await getStore().increment(`${name}:${id}`, windowMs);
+        } catch (err) {
+            // A broken store must not take logins down with it
+            console.error(`[RateLimit] ${name} store error:`, err.message);
+            return next();
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - counter.count)));
+        res.set('RateLimit-Reset', String(retryAfter));
+
+        if (counter.count > max) {
+            // Only the first rejected request of a window is worth an event
+            if (counter.count === max + 1) {
+                await recordSecurityEvent('rate-limit', { req, mobile: req.body?.mobile || req.body?.customerPhone, details: { limiter: name, key: id } });
+            }
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ message, code: 'RATE_LIMITED' });
+        }
+        next();
+    };
+}
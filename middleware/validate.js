@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import { ServiceError } from '../services/errors.js';
+
+// Declarative request validation. A schema maps each accepted field to a rule:
+//   type       'string' (default) | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'objectId',
+//              or a list of types (e.g. ['array', 'object'])
+//   required   reject when missing or empty
+//   default    value used when the field is missing
+//   minLength / maxLength / pattern / enum / lowercase / uppercase   strings (trimmed first)
+//   min / max                    numbers
+//   minItems / maxItems / items  arrays (`items` is the rule for each entry)
+//   properties                   objects (a schema for their fields, checked like the request's)
+//   message    error text to show instead of the generated one
+// Fields not in the schema are dropped, so handlers only ever see what was declared.
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Returns [value, error]: the coerced value, or a message describing what's wrong with it
+function checkValue(rule, value, label) {
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type || 'string'];
+    const fail = (text) => [undefined, rule.message || text];
+
+    for (const type of types) {
+        switch (type) {
+            case 'string':
+            case 'objectId': {
+                if (typeof value !== 'string' && typeof value !== 'number') continue;
+                let text = String(value).trim();
+                if (rule.lowercase) text = text.toLowerCase();
+                if (rule.uppercase) text = text.toUpperCase();
+                if (type === 'objectId' && !mongoose.isValidObjectId(text)) return fail(`${label} is not a valid id`);
+                if (rule.minLength != null && text.length < rule.minLength) return fail(`${label} must be at least ${rule.minLength} characters`);
+                if (rule.maxLength != null && text.length > rule.maxLength) return fail(`${label} must be at most ${rule.maxLength} characters`);
+                if (rule.pattern && !rule.pattern.test(text)) return fail(`${label} is not valid`);
+                if (rule.enum && !rule.enum.includes(text)) return fail(`${label} must be one of: ${rule.enum.join(', ')}`);
+                return [text];
+            }
+            case 'number':
+            case 'integer': {
+                // Query strings and form posts send numbers as text
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof number !== 'number' || !Number.isFinite(number)) continue;
+                if (type === 'integer' && !Number.isInteger(number)) return fail(`${label} must be a whole number`);
+                if (rule.min != null && number < rule.min) return fail(`${label} must be at least ${rule.min}`);
+                if (rule.max != null && number > rule.max) return fail(`${label} must be at most ${rule.max}`);
+                return [number];
+            }
+            case 'boolean': {
+                if (value === true || value === 'true') return [true];
+                if (value === false || value === 'false') return [false];
+                continue;
+            }
+            case 'array': {
+                if (!Array.isArray(value)) continue;
+                if (rule.minItems != null && value.length < rule.minItems) return fail(`${label} must have at least ${rule.minItems} item(s)`);
+                if (rule.maxItems != null && value.length > rule.maxItems) return fail(`${label} must have at most ${rule.maxItems} item(s)`);
+                if (!rule.items) return [value];
+
+                const items = [];
+                for (let i = 0; i < value.length; i++) {
+                    const [item, error] = checkValue(rule.items, value[i], `${label}[${i}]`);
+                    if (error) return [undefined, error];
+                    items.push(item);
+                }
+                return [items];
+            }
+            case 'object': {
+                if (typeOf(value) !== 'object' || value === null) continue;
+                if (!rule.properties) return [value];
+
+                const { value: checked, errors } = checkSchema(rule.properties, value);
+                if (errors.length > 0) return fail(`${label}: ${errors[0].message}`);
+                return [checked];
+            }
+        }
+    }
+    return fail(`${label} must be ${types.map(t => t === 'objectId' ? 'an id' : `a${/^[aeiou]/.test(t) ? 'n' : ''} ${t}`).join(' or ')}`);
+}
+
+// Check `input` against `schema`. Returns { value, errors } where errors is a list of { field, message }.
+export function checkSchema(schema, input, location) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const label = rule.label || field;
+        const raw = source[field];
+
+        if (isMissing(raw)) {
+            if (rule.required) errors.push({ field, location, message: rule.message || `${label} is required` });
+            else if (rule.default !== undefined) value[field] = rule.default;
+            continue;
+        }
+
+        const [checked, error] = checkValue(rule, raw, label);
+        if (error) errors.push({ field, location, message: error });
+        else value[field] = checked;
+    }
+
+    return { value, errors };
+}
+
+// Route middleware: validate({ body, query, params }) with a schema for each part to check.
+// req.body (and req.query / req.params) are replaced with the cleaned values.
+export function validate(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+        for (const location of ['params', 'query', 'body']) {
+            if (!schemas[location]) continue;
+
+            const result = checkSchema(schemas[location], req[location], location);
+            errors.push(...result.errors);
+            // Express 5 exposes req.query as a getter, so it's shadowed rather than assigned
+            Object.defineProperty(req, location, { value: result.value, writable: true, configurable: true, enumerable: true });
+        }
+
+        if (errors.length > 0) {
+            throw new ServiceError(400, errors[0].message, 'VALIDATION_FAILED', { fields: errors });
+        }
+        next();
+    };
+}
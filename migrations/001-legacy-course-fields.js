@@ -0,0 +1,45 @@
+import User from '../models/User.js';
+import { getCourseMap } from '../services/catalog.js';
+
+export const description = 'Move the pre-courses[] isPaid / expiryDate / attemptsLeft fields into courses[]';
+
+// Accounts from before courses[] bought the Soft Skills + Language Skills pack
+const LEGACY_COURSE_IDS = ['fttp', 'dttp'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasNoCourses = { $or: [{ courses: { $exists: false } }, { courses: { $size: 0 } }] };
+
+// Same conversion login used to do on the fly, under the orderId LEGACY_MIGRATION. The legacy
+// fields are left in place. Expired accounts are converted too (they still can't log in);
+// accounts without an expiry date get one day from now, as login gave them.
+export async function up({ dryRun, affect }) {
+    const legacyCourses = await getCourseMap(LEGACY_COURSE_IDS);
+    const courseIds = LEGACY_COURSE_IDS.filter(id => legacyCourses.has(id));
+    if (courseIds.length === 0) throw new Error('The fttp / dttp courses are missing from the catalog');
+
+    const cursor = User.find({ isPaid: true, ...hasNoCourses }).cursor();
+    for await (const user of cursor) {
+        const expiry = user.expiryDate || new Date(Date.now() + DAY_MS);
+        const courses = courseIds.map(id => {
+            const course = legacyCourses.get(id);
+            return {
+                courseId: course.courseId,
+                courseName: course.name,
+                subject: course.subject,
+                isPaid: true,
+                orderId: 'LEGACY_MIGRATION',
+                paymentDate: user.createdAt || new Date(),
+                expiryDate: expiry,
+                attemptsLeft: user.attemptsLeft || course.attempts
+            };
+        });
+
+        if (!dryRun) {
+            // Skipped if the student bought something meanwhile
+            const { modifiedCount } = await User.updateOne({ _id: user._id, ...hasNoCourses }, { $set: { courses } });
+            if (modifiedCount === 0) continue;
+        }
+        affect(user, [`add ${courseIds.join(', ')} expiring ${expiry.toISOString().slice(0, 10)}`]);
+    }
+}
@@ -0,0 +1,53 @@
+import User from '../models/User.js';
+import Course from '../models/Course.js';
+import { findBundlePartners } from '../services/catalog.js';
+
+export const description = 'Add the missing partner course for students holding only part of a bundle (fttp / dttp)';
+
+// Students who got one course of a bundle (e.g. fttp without dttp, from a partial legacy
+// migration) get the rest of it under the same order, expiry and attempts, as login used to do.
+export async function up({ dryRun, affect }) {
+    const bundles = await Course.find({ 'components.0': { $exists: true } }, 'components');
+    const componentIds = [...new Set(bundles.flatMap(b => b.components))];
+    if (componentIds.length === 0) return;
+
+    const partnersById = new Map();
+    for (const courseId of componentIds) partnersById.set(courseId, await findBundlePartners(courseId));
+
+    const cursor = User.find({ courses: { $elemMatch: { isPaid: true, courseId: { $in: componentIds } } } }).cursor();
+    for await (const user of cursor) {
+        const owned = new Set(user.courses.map(c => c.courseId));
+        const changes = [];
+
+        for (const entry of user.courses.filter(c => c.isPaid && partnersById.has(c.courseId))) {
+            for (const partner of partnersById.get(entry.courseId)) {
+                if (owned.has(partner.courseId)) continue;
+                owned.add(partner.courseId);
+
+                if (!dryRun) {
+                    const { modifiedCount } = await User.updateOne(
+                        { _id: user._id, 'courses.courseId': { $ne: partner.courseId } },
+                        {
+                            $push: {
+                                courses: {
+                                    courseId: partner.courseId,
+                                    courseName: partner.name,
+                                    subject: partner.subject,
+                                    isPaid: true,
+                                    orderId: entry.orderId,
+                                    paymentDate: entry.paymentDate,
+                                    expiryDate: entry.expiryDate,
+                                    attemptsLeft: entry.attemptsLeft
+                                }
+                            }
+                        }
+                    );
+                    if (modifiedCount === 0) continue;
+                }
+                changes.push(`add ${partner.courseId} with ${entry.courseId} (order ${entry.orderId})`);
+            }
+        }
+
+        if (changes.length > 0) affect(user, changes);
+    }
+}
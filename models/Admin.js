@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// super-admin: everything, including payments and admin accounts
+// support: look up and fix student records
+// center-admin: read-only access to students of their own center
+export const ADMIN_ROLES = ['super-admin', 'support', 'center-admin'];
+
+const AdminSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ADMIN_ROLES, required: true },
+    center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center' }, // center-admin only: the center they can see
+    isActive: { type: Boolean, default: true },
+    lastLoginAt: { type: Date }
+}, { timestamps: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Admin || mongoose.model('Admin', AdminSchema);
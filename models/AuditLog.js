@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Every change made through the admin API, for later review
+const AuditLogSchema = new mongoose.Schema({
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    adminEmail: { type: String },
+    action: { type: String, required: true }, // e.g. 'user.extend-expiry'
+    target: { type: String }, // User id, orderId, ...
+    details: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+AuditLogSchema.index({ createdAt: -1 });
+
+// Prevent recompilation of model
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A franchise / study center that enrolls students
+const CenterSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // Given to students at enrollment
+    name: { type: String, required: true, trim: true },
+    contact: {
+        name: { type: String },
+        phone: { type: String },
+        email: { type: String }
+    },
+    address: { type: String },
+    state: { type: String },
+    revenueSharePercent: { type: Number, default: 0, min: 0, max: 100 }, // Center's share of its students' payments
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Center || mongoose.model('Center', CenterSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+const CertificateSchema = new mongoose.Schema({
+    certificateId: { type: String, required: true, unique: true }, // Public number printed on the PDF
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    courseId: { type: String, required: true },
+    // Snapshot of what was printed, so later profile edits don't change an issued certificate
+    studentName: { type: String, required: true },
+    centerName: { type: String },
+    courseName: { type: String, required: true },
+    issuedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date },
+    revokeReason: { type: String }
+}, { timestamps: true });
+
+// One certificate per student per course
+CertificateSchema.index({ user: 1, courseId: 1 }, { unique: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Certificate || mongoose.model('Certificate', CertificateSchema);
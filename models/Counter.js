@@ -0,0 +1,10 @@
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. invoice numbers per financial year ('invoice:2026-27')
+const CounterSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, default: 0 } // Last number handed out
+}, { timestamps: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
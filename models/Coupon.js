@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const CouponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discountType: { type: String, enum: ['percent', 'flat'], required: true },
+    discountValue: { type: Number, required: true, min: 0 }, // Percent (0-100) or INR
+    maxDiscount: { type: Number }, // Cap for percent coupons, in INR
+    courses: { type: [String], default: [] }, // Restrict to these courseIds (empty = any course)
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    maxUses: { type: Number }, // Across all students (empty = unlimited)
+    maxUsesPerMobile: { type: Number }, // Per student mobile (empty = unlimited)
+    usedCount: { type: Number, default: 0 }, // Paid orders that used this code
+    reservedCount: { type: Number, default: 0 }, // Open orders holding a use until they are paid, fail or expire
+    // Referral codes credit a student or a center for the sale
+    referrer: {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+        center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center' }
+    },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Coupon || mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Uses of a coupon by one student mobile, for coupons with a per-mobile cap: paid orders plus
+// open orders holding a use (see services/coupons.js reserveCouponUse)
+const CouponUseSchema = new mongoose.Schema({
+    code: { type: String, required: true },
+    mobile: { type: String, required: true },
+    count: { type: Number, default: 0 }
+}, { timestamps: true });
+
+CouponUseSchema.index({ code: 1, mobile: 1 }, { unique: true });
+
+// Prevent recompilation of model
+export default mongoose.models.CouponUse || mongoose.model('CouponUse', CouponUseSchema);
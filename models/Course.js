@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const CourseSchema = new mongoose.Schema({
+    courseId: { type: String, required: true, unique: true, trim: true }, // 'fttp', 'soft-lang-combo', ...
+    name: { type: String, required: true },
+    subject: { type: String }, // 'CSS', 'CLS', 'PD' (empty for bundles)
+    price: { type: Number, required: true, min: 0 }, // INR, charged as-is by create-order
+    validityDays: { type: Number, default: 20 },
+    attempts: { type: Number, default: 30 }, // Exam attempts granted per purchase
+    exam: {
+        durationMinutes: { type: Number, default: 30 },
+        questionCount: { type: Number, default: 25 }, // Questions per paper (fewer if the bank is smaller)
+        // Relative weights per difficulty, e.g. { easy: 40, medium: 40, hard: 20 }. Empty = any mix.
+        difficultyMix: {
+            easy: { type: Number, default: 0 },
+            medium: { type: Number, default: 0 },
+            hard: { type: Number, default: 0 }
+        },
+        modules: { type: [Number], default: undefined } // Limit the paper to these LMS modules
+    },
+    // LMS modules, completed in `order`. A module unlocks once its `prerequisites` (module ids) are
+    // completed; without prerequisites it unlocks after the previous module. `minTimeSeconds` is
+    // the least time between starting and completing it.
+    modules: {
+        type: [{
+            _id: false,
+            moduleId: { type: Number, required: true }, // As stored in modulesCompleted and Question.module
+            title: { type: String, required: true },
+            order: { type: Number, default: 0 },
+            prerequisites: { type: [Number], default: undefined },
+            minTimeSeconds: { type: Number, default: 0, min: 0 }
+        }],
+        default: []
+    },
+    // Courses without `modules`: modules 1..moduleCount, completed in sequence.
+    // The certificate needs every module completed (0 modules = no certificate).
+    moduleCount: { type: Number, default: 0 },
+    // Bundle: buying this course grants each of these courseIds instead of itself
+    components: { type: [String], default: [] },
+    // Add-ons for students who own the course, bought through create-order. Renewals extend
+    // validity by `days` from the current expiry (or from now, if expired); attempt packs add
+    // `attempts`. Bundles apply them to every component.
+    renewals: {
+        type: [{ _id: false, days: { type: Number, required: true, min: 1 }, price: { type: Number, required: true, min: 0 } }],
+        default: []
+    },
+    attemptPacks: {
+        type: [{ _id: false, attempts: { type: Number, required: true, min: 1 }, price: { type: Number, required: true, min: 0 } }],
+        default: []
+    },
+    // Devices a student owning this course may be logged in on at once (unset = DEFAULT_MAX_SESSIONS)
+    maxSessions: { type: Number, min: 1 },
+    // Inactive courses can't be bought, but students who already own them keep access
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+CourseSchema.virtual('isBundle').get(function () {
+    return this.components && this.components.length > 0;
+});
+
+// Prevent recompilation of model
+export default mongoose.models.Course || mongoose.model('Course', CourseSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+// Emails waiting to be sent (or already sent). Requests only queue emails here;
+// services/notifications.js delivers them and retries failures with backoff.
+const EmailOutboxSchema = new mongoose.Schema({
+    template: { type: String, required: true }, // e.g. 'receipt', 'welcome'
+    to: { type: String, required: true, lowercase: true, trim: true },
+    subject: { type: String, required: true },
+    text: { type: String },
+    html: { type: String },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    // Stops the same email being queued twice, e.g. 'receipt:ORDER_123'
+    dedupeKey: { type: String, unique: true, sparse: true },
+    status: { type: String, enum: EMAIL_STATUSES, default: 'PENDING' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date }, // Set while a worker is sending it
+    lastError: { type: String },
+    transport: { type: String },
+    sentAt: { type: Date }
+}, { timestamps: true });
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Sent emails are removed after 90 days; failed ones are kept for support
+EmailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Prevent recompilation of model
+export default mongoose.models.EmailOutbox || mongoose.model('EmailOutbox', EmailOutboxSchema);
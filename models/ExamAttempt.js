@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+export const ATTEMPT_STATUSES = ['IN_PROGRESS', 'SUBMITTED', 'EXPIRED'];
+
+const ExamAttemptSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    courseId: { type: String, required: true },
+    subject: { type: String },
+    // Paper issued for this attempt. Options are shuffled per attempt, so `answer` is the
+    // index into the options as this student saw them.
+    questions: [{
+        question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+        answer: { type: Number },
+        marks: { type: Number, default: 1 }
+    }],
+    startedAt: { type: Date, default: Date.now },
+    timeLimitMinutes: { type: Number, required: true },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: ATTEMPT_STATUSES, default: 'IN_PROGRESS' },
+    submittedAt: { type: Date },
+    answers: [{
+        question: { type: mongoose.Schema.Types.ObjectId },
+        selected: { type: Number },
+        isCorrect: { type: Boolean }
+    }],
+    score: { type: Number },
+    maxScore: { type: Number },
+    correctCount: { type: Number }
+}, { timestamps: true });
+
+ExamAttemptSchema.index({ user: 1, courseId: 1, startedAt: -1 });
+
+// Prevent recompilation of model
+export default mongoose.models.ExamAttempt || mongoose.model('ExamAttempt', ExamAttemptSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const TAX_TYPES = ['INTRA_STATE', 'INTER_STATE']; // CGST + SGST, or IGST
+
+const PartySchema = new mongoose.Schema({
+    name: { type: String },
+    gstin: { type: String },
+    address: { type: String },
+    email: { type: String },
+    mobile: { type: String },
+    state: { type: String },
+    stateCode: { type: String }
+}, { _id: false });
+
+// Amounts are in rupees, rounded to paise; `total` includes tax
+const InvoiceLineSchema = new mongoose.Schema({
+    courseId: { type: String },
+    description: { type: String, required: true },
+    sac: { type: String },
+    quantity: { type: Number, default: 1 },
+    listPrice: { type: Number },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+}, { _id: false });
+
+// A tax invoice for a paid order. Everything printed is a snapshot taken when the invoice was
+// issued, so later edits to the seller settings, the student or the catalog don't change it.
+const InvoiceSchema = new mongoose.Schema({
+    invoiceNumber: { type: String, required: true, unique: true }, // e.g. SCSM/26-27/00042
+    financialYear: { type: String, required: true }, // e.g. '2026-27'
+    sequence: { type: Number, required: true }, // Position in the financial year's series
+    orderId: { type: String, required: true, unique: true }, // One invoice per order
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true },
+    issuedAt: { type: Date, required: true, index: true }, // Invoice date
+    paidAt: { type: Date },
+    seller: { type: PartySchema, required: true },
+    buyer: { type: PartySchema, required: true },
+    placeOfSupply: { state: { type: String }, stateCode: { type: String } },
+    taxType: { type: String, enum: TAX_TYPES, required: true },
+    gstRate: { type: Number, required: true }, // Percent, e.g. 18
+    lines: { type: [InvoiceLineSchema], default: [] },
+    totals: {
+        taxableValue: { type: Number },
+        cgst: { type: Number },
+        sgst: { type: Number },
+        igst: { type: Number },
+        tax: { type: Number },
+        total: { type: Number } // Equals the amount charged on the order
+    },
+    currency: { type: String, default: 'INR' },
+    paymentReference: { type: String } // Gateway order id
+}, { timestamps: true });
+
+InvoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Invoice || mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+export const MIGRATION_STATUSES = ['RUNNING', 'DONE', 'FAILED'];
+
+// A user changed by a migration, and how
+const AffectedUserSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    mobile: { type: String },
+    name: { type: String },
+    changes: { type: [String], default: [] }
+}, { _id: false });
+
+// One document per data migration in migrations/ that has been run (dry runs aren't recorded)
+const MigrationSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true }, // File name without .js, e.g. '001-legacy-course-fields'
+    description: { type: String },
+    status: { type: String, enum: MIGRATION_STATUSES, default: 'RUNNING' },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    attempts: { type: Number, default: 1 }, // A FAILED migration is retried on the next run
+    affectedCount: { type: Number, default: 0 },
+    affected: { type: [AffectedUserSchema], default: [] }, // The first few thousand, see services/migrations.js
+    error: { type: String }
+}, { timestamps: true });
+
+// Prevent recompilation of model
+export default mongoose.models.Migration || mongoose.model('Migration', MigrationSchema);
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const ORDER_STATUSES = ['CREATED', 'PENDING', 'PAID', 'FAILED', 'EXPIRED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// The coupon use an order holds: reserved when it is created, released if it fails or expires,
+// used once it is paid
+export const COUPON_USE_STATES = ['RESERVED', 'RELEASED', 'USED'];
+
+// Gateway refund statuses (Cashfree's, other gateways are mapped onto them), plus FAILED
+export const REFUND_STATUSES = ['PENDING', 'ONHOLD', 'SUCCESS', 'CANCELLED', 'FAILED'];
+
+// 'course' grants the course; 'renewal' and 'attempts' are add-ons for a course the student owns
+export const PURCHASE_TYPES = ['course', 'renewal', 'attempts'];
+
+// What paying did for a line: courses GRANTED, add-on APPLIED, or SKIPPED (add-on for a course no longer owned)
+export const LINE_STATUSES = ['GRANTED', 'APPLIED', 'SKIPPED'];
+
+const OrderItemSchema = new mongoose.Schema({
+    courseId: { type: String, required: true }, // What was bought, e.g. 'soft-lang-combo'
+    type: { type: String, enum: PURCHASE_TYPES, default: 'course' },
+    courseName: { type: String },
+    price: { type: Number, required: true },
+    validityDays: { type: Number, required: true }, // Days added by a renewal, 0 for an attempt pack
+    // Courses added to User.courses[] once the order is paid (bundles expand here); add-ons update them instead
+    grants: [{
+        courseId: { type: String, required: true },
+        courseName: { type: String },
+        subject: { type: String },
+        attempts: { type: Number } // Attempts granted, or added by an attempt pack
+    }],
+    // Set once the order is paid
+    fulfilment: {
+        status: { type: String, enum: LINE_STATUSES },
+        note: { type: String }
+    }
+}, { _id: false });
+
+const StatusHistorySchema = new mongoose.Schema({
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String }
+}, { _id: false });
+
+// What a refund took from one of the student's course entries, given back if the gateway
+// cancels or fails the refund (see services/refunds.js)
+const RefundAccessSchema = new mongoose.Schema({
+    courseId: { type: String, required: true },
+    entryOrderId: { type: String }, // Order the entry was granted under; a re-purchase is never touched
+    expiryMs: { type: Number, default: 0 }, // Validity taken off
+    attempts: { type: Number, default: 0 }, // Attempts taken off
+    revoked: { type: Boolean, default: false }, // Access was revoked outright
+    addOns: [{
+        _id: false,
+        orderId: { type: String, required: true },
+        type: { type: String, enum: ['renewal', 'attempts'], required: true },
+        days: { type: Number, default: 0 },
+        attempts: { type: Number, default: 0 }
+    }] // Add-on records removed from the entry
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+    refundId: { type: String, required: true }, // Our id, sent to the gateway with the refund
+    gatewayRefundId: { type: String }, // The gateway's own refund id
+    amount: { type: Number, required: true },
+    courseIds: { type: [String], default: [] }, // Granted courses whose access was revoked or shortened
+    access: { type: [RefundAccessSchema], default: [] },
+    accessRestoredAt: { type: Date }, // Set when a cancelled or failed refund gave the access back
+    reason: { type: String },
+    status: { type: String, enum: REFUND_STATUSES, default: 'PENDING' },
+    requestedBy: { type: String }, // Admin email
+    requestedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date }, // Set once the refund reaches a final status
+    gatewayResponse: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+    orderId: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    customer: {
+        customerId: { type: String },
+        name: { type: String },
+        email: { type: String },
+        mobile: { type: String, index: true },
+        state: { type: String }, // For the invoice's place of supply
+        gstin: { type: String } // Buyers who want input tax credit
+    },
+    center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true }, // Center credited with the sale
+    items: { type: [OrderItemSchema], default: [] },
+    subtotal: { type: Number }, // Sum of item prices before discount
+    coupon: {
+        code: { type: String },
+        discount: { type: Number, default: 0 },
+        state: { type: String, enum: COUPON_USE_STATES } // Unset on orders from before reservations
+    },
+    // Who referred this sale (from a referral coupon)
+    referral: {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center' }
+    },
+    amount: { type: Number, required: true }, // Charged amount: subtotal - coupon discount
+    currency: { type: String, default: 'INR' },
+    gateway: { type: String, default: 'cashfree' }, // See services/gateways
+    gatewayOrderId: { type: String, index: true },
+    gatewayResponse: { type: mongoose.Schema.Types.Mixed }, // Last payload seen from the gateway
+    status: { type: String, enum: ORDER_STATUSES, default: 'CREATED', index: true },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
+    paidAt: { type: Date },
+    fulfilledAt: { type: Date }, // Set once courses have been granted to the user
+    grantClaimedAt: { type: Date }, // When a caller started granting; see services/fulfilment.js
+    loginIssuedAt: { type: Date }, // When verify-payment logged the student in; only done once per order
+    refunds: { type: [RefundSchema], default: [] },
+    refundedAmount: { type: Number, default: 0 } // Sum of successful refunds
+}, { timestamps: true });
+
+// Per-student coupon usage checks
+OrderSchema.index({ 'coupon.code': 1, 'customer.mobile': 1 });
+
+// Prevent recompilation of model
+export default mongoose.models.Order || mongoose.model('Order', OrderSchema);
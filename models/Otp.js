@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+const OtpSchema = new mongoose.Schema({
+    mobile: { type: String, required: true, index: true },
+    codeHash: { type: String, required: true }, // The code itself is never stored
+    expiresAt: { type: Date, required: true },
+    failedAttempts: { type: Number, default: 0 },
+    consumedAt: { type: Date },
+    channel: { type: String } // Sender used, e.g. 'sms', 'console'
+}, { timestamps: true });
+
+// MongoDB removes OTPs a day after they expire (kept briefly for resend limits)
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Prevent recompilation of model
+export default mongoose.models.Otp || mongoose.model('Otp', OtpSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const QuestionSchema = new mongoose.Schema({
+    // Stable id from the source spreadsheet so re-imports update instead of duplicating
+    code: { type: String, trim: true, unique: true, sparse: true },
+    subject: { type: String, required: true }, // 'CSS', 'CLS', 'PD'
+    module: { type: Number }, // LMS module the question belongs to
+    difficulty: { type: String, enum: DIFFICULTIES, default: 'medium' },
+    prompt: { type: String, required: true },
+    options: {
+        type: [String],
+        validate: [opts => opts.length >= 2, 'A question needs at least two options']
+    },
+    answer: { type: Number, required: true }, // Index into options. Never sent to students.
+    marks: { type: Number, default: 1 },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+QuestionSchema.index({ subject: 1, difficulty: 1, isActive: 1 });
+
+// Prevent recompilation of model
+export default mongoose.models.Question || mongoose.model('Question', QuestionSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Shared rate limit / lockout counters (RATE_LIMIT_STORE=mongo)
+const RateLimitCounterSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // e.g. 'login:ip:1.2.3.4'
+    count: { type: Number, default: 0 },
+    resetAt: { type: Date, required: true }
+});
+
+// MongoDB removes counters once their window has ended
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent recompilation of model
+export default mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', RateLimitCounterSchema);
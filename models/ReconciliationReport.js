@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// One entry per order whose gateway state didn't match the database, and what was done about it
+const ReconciliationEntrySchema = new mongoose.Schema({
+    orderId: { type: String, required: true },
+    dbStatus: { type: String },
+    gatewayStatus: { type: String }, // Order status as reported by the gateway, or NOT_FOUND
+    action: { type: String, enum: ['fulfilled', 'expired', 'none', 'error'], required: true },
+    note: { type: String }
+}, { _id: false });
+
+// Result of one reconciliation run of unpaid orders against their payment gateways
+const ReconciliationReportSchema = new mongoose.Schema({
+    trigger: { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+    triggeredBy: { type: String }, // Admin email for manual runs
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    checked: { type: Number, default: 0 },
+    fulfilled: { type: Number, default: 0 },
+    expired: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    errored: { type: Number, default: 0 }, // Gateway lookups that failed
+    mismatches: { type: [ReconciliationEntrySchema], default: [] }
+}, { timestamps: true });
+
+ReconciliationReportSchema.index({ startedAt: -1 });
+
+// Prevent recompilation of model
+export default mongoose.models.ReconciliationReport || mongoose.model('ReconciliationReport', ReconciliationReportSchema);
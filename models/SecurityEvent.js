@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Suspicious student-facing activity (failed logins, lockouts, rate limiting, mismatched
+// details on orders), for review by support
+const SecurityEventSchema = new mongoose.Schema({
+    type: { type: String, required: true, index: true }, // e.g. 'login.failed', 'order.name-mismatch'
+    ip: { type: String },
+    userAgent: { type: String },
+    mobile: { type: String, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    details: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+SecurityEventSchema.index({ createdAt: -1 });
+
+// MongoDB removes events after 90 days
+SecurityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Prevent recompilation of model
+export default mongoose.models.SecurityEvent || mongoose.model('SecurityEvent', SecurityEventSchema);
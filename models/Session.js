@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// A logged-in device. Access tokens carry the session id; the refresh token is stored hashed
+// and replaced on every refresh.
+const SessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHash: { type: String }, // Last rotated-out token, to detect reuse
+    rotatedAt: { type: Date },
+    device: {
+        name: { type: String }, // Optional label sent by the client, e.g. 'Rahul's laptop'
+        userAgent: { type: String }
+    },
+    ip: { type: String },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // Refresh token expiry
+    revokedAt: { type: Date },
+    revokedReason: { type: String } // 'logout', 'revoked', 'session-limit', 'admin', 'refresh-token-reuse'
+}, { timestamps: true });
+
+// MongoDB removes sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Prevent recompilation of model
+export default mongoose.models.Session || mongoose.model('Session', SessionSchema);
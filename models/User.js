@@ -5,7 +5,8 @@ const UserSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true },
     mobile: { type: String, required: true, unique: true },
-    centerName: { type: String },
+    centerName: { type: String }, // Display name; `center` is the source of truth when set
+    center: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true },
     // Array to store multiple course purchases
     courses: [{
         courseId: { type: String }, // 'fttp' or 'dttp'
@@ -16,12 +17,33 @@ const UserSchema = new mongoose.Schema({
         paymentDate: { type: Date },
         expiryDate: { type: Date },
         attemptsLeft: { type: Number, default: 30 },
-        modulesCompleted: { type: [Number], default: [] } // Track completed modules
+        modulesCompleted: { type: [Number], default: [] }, // Track completed modules
+        // When each module was started / completed (see services/progress.js)
+        moduleProgress: [{
+            _id: false,
+            moduleId: { type: Number, required: true },
+            startedAt: { type: Date },
+            completedAt: { type: Date }
+        }],
+        refundedAt: { type: Date }, // Access revoked by a refund of `orderId`
+        // Renewals and attempt packs applied on top of `orderId`, so refunding either side takes
+        // back exactly what it gave (see services/refunds.js)
+        addOns: [{
+            _id: false,
+            orderId: { type: String, required: true },
+            type: { type: String, enum: ['renewal', 'attempts'], required: true },
+            days: { type: Number, default: 0 }, // Validity added
+            attempts: { type: Number, default: 0 } // Attempts added
+        }]
     }],
+    // Orders whose courses have been granted to this user. Saved together with the courses, so a
+    // grant that is retried after a crash never applies an order twice.
+    fulfilledOrders: { type: [String], default: [] },
     // Single Device Login Token
     sessionToken: { type: String },
 
-    // Legacy Support (Old Schema Fields) - kept for backward compatibility
+    // Legacy Support (Old Schema Fields). No longer read: migrations/001-legacy-course-fields.js
+    // copies them into courses[]. Remove once every environment has run it.
     enrolledCourse: { type: String },
     courseName: { type: String },
     isPaid: { type: Boolean },
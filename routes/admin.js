@@ -0,0 +1,422 @@
+import express from 'express';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Admin, { ADMIN_ROLES } from '../models/Admin.js';
+import AuditLog from '../models/AuditLog.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import Certificate from '../models/Certificate.js';
+import Question from '../models/Question.js';
+import Center from '../models/Center.js';
+import Session from '../models/Session.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import EmailOutbox from '../models/EmailOutbox.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { issueAdminToken } from '../services/auth.js';
+import { fulfilOrder } from '../services/fulfilment.js';
+import { recordAudit } from '../services/audit.js';
+import { assertNotLockedOut, recordFailure, clearFailures } from '../services/lockout.js';
+import { initiateRefund, syncRefunds } from '../services/refunds.js';
+import { listSessions, revokeUserSessions, toPublicSession } from '../services/sessions.js';
+import { ServiceError } from '../services/errors.js';
+import { parseImport, importQuestions } from '../services/questionBank.js';
+import { toAttemptSummary } from '../services/exams.js';
+import { toPublicCertificate } from '../services/certificates.js';
+import { normalizeCenterCode } from '../services/centers.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { escapeRegExp } from '../utils/regex.js';
+import * as schemas from '../schemas/index.js';
+
+const router = express.Router();
+
+const STAFF = ['super-admin', 'support'];
+const ANY_ADMIN = ADMIN_ROLES;
+
+// Center admins only ever see students of their own center
+function userScope(admin) {
+    return admin.role === 'center-admin' ? { center: admin.center } : {};
+}
+
+function toAdminUser(user, activeSessions = 0) {
+    return {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        mobile: user.mobile,
+        centerName: user.centerName,
+        center: user.center,
+        loggedIn: activeSessions > 0 || Boolean(user.sessionToken),
+        activeSessions,
+        createdAt: user.createdAt,
+        courses: user.courses
+    };
+}
+
+function toPublicAdmin(admin) {
+    return {
+        _id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        center: admin.center,
+        isActive: admin.isActive,
+        lastLoginAt: admin.lastLoginAt
+    };
+}
+
+// Load a student the admin is allowed to see
+async function loadUser(req) {
+    const user = await User.findOne({ _id: req.params.userId, ...userScope(req.admin) });
+    if (!user) throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+    return user;
+}
+
+function findUserCourse(user, courseId) {
+    const course = user.courses.find(c => c.courseId === courseId);
+    if (!course) throw new ServiceError(404, 'Course not found on this user', 'COURSE_NOT_OWNED');
+    return course;
+}
+
+async function findCenter(centerCode) {
+    const center = await Center.findOne({ code: normalizeCenterCode(centerCode) });
+    if (!center) throw new ServiceError(400, 'Center not found', 'CENTER_NOT_FOUND');
+    return center;
+}
+
+function centerCodeRequired() {
+    return new ServiceError(400, 'centerCode required for center-admin', 'VALIDATION_FAILED', {
+        fields: [{ field: 'centerCode', location: 'body', message: 'centerCode required for center-admin' }]
+    });
+}
+
+// --- AUTH ---
+router.post('/login', rateLimit({ name: 'admin-login:ip', windowMs: 15 * 60 * 1000, max: 20 }), validate(schemas.adminLogin), async (req, res) => {
+    const { email, password } = req.body;
+    await assertNotLockedOut('admin-login', email);
+
+    const admin = await Admin.findOne({ email });
+    if (!admin || !admin.isActive || !(await verifyPassword(password, admin.passwordHash))) {
+        await recordFailure('admin-login', email, { req, details: { email } });
+        throw new ServiceError(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    await clearFailures('admin-login', email);
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    res.status(200).json({ success: true, token: issueAdminToken(admin), admin: toPublicAdmin(admin) });
+});
+
+router.get('/me', requireAdmin(), (req, res) => {
+    res.status(200).json({ success: true, admin: toPublicAdmin(req.admin) });
+});
+
+// --- STUDENTS ---
+router.get('/users', requireAdmin(...ANY_ADMIN), validate(schemas.userSearch), async (req, res) => {
+    const { q, page, limit } = req.query;
+
+    const filter = { ...userScope(req.admin) };
+    if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        filter.$or = [{ name: pattern }, { mobile: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        User.countDocuments(filter)
+    ]);
+
+    const sessionCounts = await Session.aggregate([
+        { $match: { user: { $in: users.map(u => u._id) }, revokedAt: null, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]);
+    const countByUser = new Map(sessionCounts.map(c => [String(c._id), c.count]));
+
+    res.status(200).json({ success: true, total, page, users: users.map(u => toAdminUser(u, countByUser.get(String(u._id)))) });
+});
+
+router.get('/users/:userId', requireAdmin(...ANY_ADMIN), validate(schemas.userParams), async (req, res) => {
+    const user = await loadUser(req);
+
+    const [orders, attempts, certificates, sessions] = await Promise.all([
+        Order.find({ user: user._id }).sort({ createdAt: -1 }),
+        ExamAttempt.find({ user: user._id }).sort({ startedAt: -1 }).limit(50),
+        Certificate.find({ user: user._id }),
+        listSessions(user._id)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        user: toAdminUser(user, sessions.length),
+        sessions: sessions.map(s => toPublicSession(s)),
+        orders,
+        examAttempts: attempts.map(toAttemptSummary),
+        certificates: certificates.map(toPublicCertificate)
+    });
+});
+
+// Extend validity by `days` (from the current expiry, or from now if already expired) or set `expiryDate`
+router.post('/users/:userId/courses/:courseId/extend', requireAdmin(...STAFF), validate(schemas.extendCourse), async (req, res) => {
+    const { days, expiryDate } = req.body;
+
+    const user = await loadUser(req);
+    const course = findUserCourse(user, req.params.courseId);
+
+    const previousExpiry = course.expiryDate;
+    let newExpiry;
+    if (expiryDate) {
+        newExpiry = new Date(expiryDate);
+    } else if (days) {
+        const base = course.expiryDate && course.expiryDate > new Date() ? course.expiryDate : new Date();
+        newExpiry = new Date(base);
+        newExpiry.setDate(newExpiry.getDate() + days);
+    }
+    if (!newExpiry || isNaN(newExpiry.getTime())) {
+        throw new ServiceError(400, 'Provide a positive whole number of days or a valid expiryDate', 'VALIDATION_FAILED');
+    }
+
+    course.expiryDate = newExpiry;
+    await user.save();
+    await recordAudit(req.admin, 'user.extend-expiry', user._id, { courseId: course.courseId, previousExpiry, newExpiry });
+
+    res.status(200).json({ success: true, course });
+});
+
+router.post('/users/:userId/courses/:courseId/attempts', requireAdmin(...STAFF), validate(schemas.grantAttempts), async (req, res) => {
+    const { attempts } = req.body;
+
+    const user = await loadUser(req);
+    const course = findUserCourse(user, req.params.courseId);
+
+    course.attemptsLeft = (course.attemptsLeft || 0) + attempts;
+    await user.save();
+    await recordAudit(req.admin, 'user.grant-attempts', user._id, { courseId: course.courseId, attempts, attemptsLeft: course.attemptsLeft });
+
+    res.status(200).json({ success: true, course });
+});
+
+// Force logout: every session of the student stops working immediately
+router.post('/users/:userId/logout', requireAdmin(...STAFF), validate(schemas.userParams), async (req, res) => {
+    const user = await loadUser(req);
+
+    user.sessionToken = undefined;
+    await user.save();
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin' });
+    await recordAudit(req.admin, 'user.force-logout', user._id, { sessions: revoked });
+
+    res.status(200).json({ success: true, revoked });
+});
+
+// --- ORDERS ---
+// Orders that can no longer be marked paid
+const TERMINAL_ORDER_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+router.get('/orders', requireAdmin(...STAFF), validate(schemas.orderSearch), async (req, res) => {
+    const { status, mobile, orderId, page, limit } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (mobile) filter['customer.mobile'] = mobile;
+    if (orderId) filter.orderId = orderId;
+
+    const [orders, total] = await Promise.all([
+        Order.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        Order.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ success: true, total, page, orders });
+});
+
+// Manually mark an order paid (e.g. bank transfer, or a gateway payment that never synced)
+router.post('/orders/:orderId/mark-paid', requireAdmin('super-admin'), validate(schemas.markPaid), async (req, res) => {
+    const { note } = req.body;
+
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) throw new ServiceError(404, 'Order not found', 'ORDER_NOT_FOUND');
+
+    const { fulfilled, user, order: updated } = await fulfilOrder(order.orderId, {
+        note: `Marked paid by ${req.admin.email}${note ? `: ${note}` : ''}`
+    });
+    if (!fulfilled) {
+        if (updated.status === 'PAID' && !updated.fulfilledAt) {
+            // Paid, but nothing could be granted
+            if (!user) {
+                await recordAudit(req.admin, 'order.mark-paid', order.orderId, { note, granted: false });
+                throw new ServiceError(404, 'The order is paid but its student no longer exists, so nothing was granted', 'USER_NOT_FOUND');
+            }
+            throw new ServiceError(409, 'The order is being granted by another request. Check it again in a few minutes.', 'FULFILMENT_IN_PROGRESS');
+        }
+        if (TERMINAL_ORDER_STATUSES.includes(updated.status)) throw new ServiceError(409, `Order is already ${updated.status}`, 'ORDER_NOT_PAYABLE');
+        throw new ServiceError(409, 'Order changed while marking it paid, please retry', 'ORDER_CHANGED');
+    }
+
+    await recordAudit(req.admin, 'order.mark-paid', order.orderId, { note });
+    res.status(200).json({ success: true, order: updated });
+});
+
+// Refund through Cashfree and revoke the matching access.
+// Body: { courseIds?, amount?, reason, shortenTo? } - see services/refunds.js initiateRefund
+router.post('/orders/:orderId/refunds', requireAdmin('super-admin'), validate(schemas.createRefund), async (req, res) => {
+    const { courseIds, amount, reason, shortenTo } = req.body;
+
+    const result = await initiateRefund(req.params.orderId, {
+        courseIds, amount, reason, shortenTo, requestedBy: req.admin.email
+    });
+    await recordAudit(req.admin, 'order.refund', req.params.orderId, {
+        refundId: result.refund.refundId,
+        amount: result.refund.amount,
+        courseIds: result.refund.courseIds,
+        revoked: result.revoked,
+        reason
+    });
+
+    res.status(201).json({ success: true, ...result });
+});
+
+// Poll Cashfree for refunds still pending (for when a webhook was missed)
+router.post('/orders/:orderId/refunds/sync', requireAdmin(...STAFF), validate(schemas.adminOrderParams), async (req, res) => {
+    const { order, results } = await syncRefunds(req.params.orderId);
+    res.status(200).json({ success: true, order, results });
+});
+
+// --- QUESTION BANK ---
+// Accepts JSON ({ questions: [...] } or an array) or a CSV body with Content-Type: text/csv.
+// With ?dryRun=true nothing is written; the report says what the import would do.
+function importBody(req, res, next) {
+    if (req.is('text/csv')) req.body = { csv: typeof req.body === 'string' ? req.body : undefined };
+    else if (Array.isArray(req.body)) req.body = { questions: req.body };
+    next();
+}
+
+router.post('/questions/import', requireAdmin('super-admin'), express.text({ type: 'text/csv', limit: '5mb' }), importBody, validate(schemas.importQuestions), async (req, res) => {
+    const { csv, questions } = req.body;
+    if (!csv && !questions) {
+        throw new ServiceError(400, 'Questions are required', 'VALIDATION_FAILED', { fields: [{ field: 'questions', location: 'body', message: 'Questions are required' }] });
+    }
+
+    let records;
+    try {
+        records = csv ? parseImport(csv, 'csv') : questions;
+    } catch (parseError) {
+        throw new ServiceError(400, parseError.message, 'VALIDATION_FAILED');
+    }
+
+    const { dryRun } = req.query;
+    const report = await importQuestions(records, { dryRun });
+    if (!dryRun) await recordAudit(req.admin, 'questions.import', null, { received: records.length, inserted: report.inserted, updated: report.updated });
+    res.status(200).json({ success: true, received: records.length, dryRun, ...report });
+});
+
+router.get('/questions/summary', requireAdmin(...STAFF), async (req, res) => {
+    const summary = await Question.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: { subject: '$subject', difficulty: '$difficulty' }, count: { $sum: 1 } } },
+        { $sort: { '_id.subject': 1, '_id.difficulty': 1 } }
+    ]);
+    res.status(200).json({
+        success: true,
+        summary: summary.map(s => ({ subject: s._id.subject, difficulty: s._id.difficulty, count: s.count }))
+    });
+});
+
+// --- ADMIN ACCOUNTS (super-admin) ---
+router.get('/admins', requireAdmin('super-admin'), async (req, res) => {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.status(200).json({ success: true, admins: admins.map(toPublicAdmin) });
+});
+
+router.post('/admins', requireAdmin('super-admin'), validate(schemas.createAdmin), async (req, res) => {
+    const { name, email, password, role, centerCode } = req.body;
+    if (role === 'center-admin' && !centerCode) throw centerCodeRequired();
+
+    if (await Admin.exists({ email })) {
+        throw new ServiceError(409, 'An admin with this email already exists', 'ADMIN_EXISTS');
+    }
+
+    const center = role === 'center-admin' ? await findCenter(centerCode) : null;
+
+    const admin = await Admin.create({
+        name,
+        email,
+        role,
+        center: center?._id,
+        passwordHash: await hashPassword(password)
+    });
+    await recordAudit(req.admin, 'admin.create', admin._id, { email: admin.email, role });
+
+    res.status(201).json({ success: true, admin: toPublicAdmin(admin) });
+});
+
+router.patch('/admins/:adminId', requireAdmin('super-admin'), validate(schemas.updateAdmin), async (req, res) => {
+    const { role, isActive, password, centerCode } = req.body;
+
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) throw new ServiceError(404, 'Admin not found', 'ADMIN_NOT_FOUND');
+
+    if (role !== undefined) admin.role = role;
+    if (centerCode !== undefined) admin.center = (await findCenter(centerCode))._id;
+    if (isActive !== undefined) admin.isActive = isActive;
+    if (password !== undefined) admin.passwordHash = await hashPassword(password);
+    if (admin.role === 'center-admin' && !admin.center) throw centerCodeRequired();
+
+    await admin.save();
+    await recordAudit(req.admin, 'admin.update', admin._id, { role, isActive, centerCode, passwordChanged: password !== undefined });
+
+    res.status(200).json({ success: true, admin: toPublicAdmin(admin) });
+});
+
+router.get('/audit-log', requireAdmin('super-admin'), validate(schemas.auditLogQuery), async (req, res) => {
+    const filter = {};
+    if (req.query.target) filter.target = req.query.target;
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.status(200).json({ success: true, entries });
+});
+
+// Failed logins, lockouts, rate limiting and mismatched order details
+router.get('/security-events', requireAdmin(...STAFF), validate(schemas.securityEventQuery), async (req, res) => {
+    const { type, mobile, ip, page, limit } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (mobile) filter.mobile = mobile;
+    if (ip) filter.ip = ip;
+
+    const [events, total] = await Promise.all([
+        SecurityEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        SecurityEvent.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, total, page, events });
+});
+
+// --- EMAIL OUTBOX ---
+// Receipts, welcome and reminder emails; `?status=FAILED` lists the ones that gave up
+router.get('/emails', requireAdmin(...STAFF), validate(schemas.emailSearch), async (req, res) => {
+    const { status, template, to, page, limit } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = to;
+
+    const [emails, total] = await Promise.all([
+        EmailOutbox.find(filter, '-html').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        EmailOutbox.countDocuments(filter)
+    ]);
+    res.status(200).json({ success: true, total, page, emails });
+});
+
+// Send a FAILED email again (picked up by the next outbox run)
+router.post('/emails/:emailId/retry', requireAdmin(...STAFF), validate(schemas.emailParams), async (req, res) => {
+    const email = await EmailOutbox.findOneAndUpdate(
+        { _id: req.params.emailId, status: 'FAILED' },
+        { $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() } },
+        { new: true }
+    );
+    if (!email) throw new ServiceError(409, 'Only failed emails can be retried', 'EMAIL_NOT_RETRYABLE');
+
+    await recordAudit(req.admin, 'email.retry', email.user, { emailId: email._id, template: email.template, to: email.to });
+    res.status(200).json({ success: true, email });
+});
+
+export default router;
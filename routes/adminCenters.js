@@ -0,0 +1,214 @@
+import express from 'express';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Center from '../models/Center.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { ADMIN_ROLES } from '../models/Admin.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.js';
+import { normalizeCenterCode, toPublicCenter } from '../services/centers.js';
+import { toAttemptSummary } from '../services/exams.js';
+import { escapeRegExp } from '../utils/regex.js';
+
+const router = express.Router();
+
+const STAFF = ['super-admin', 'support'];
+
+function pickCenterFields(body) {
+    const fields = {};
+    ['name', 'address', 'state'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    if (body.contact !== undefined) fields.contact = body.contact;
+    if (body.revenueSharePercent !== undefined) fields.revenueSharePercent = Number(body.revenueSharePercent);
+    if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+    return fields;
+}
+
+// Load the center in :code, enforcing that center admins only reach their own center
+async function loadCenter(req, res) {
+    const center = await Center.findOne({ code: normalizeCenterCode(req.params.code) });
+    if (!center || (req.admin.role === 'center-admin' && !center._id.equals(req.admin.center))) {
+        res.status(404).json({ message: 'Center not found' });
+        return null;
+    }
+    return center;
+}
+
+router.get('/', requireAdmin(...STAFF), async (req, res) => {
+    try {
+        const [centers, studentCounts] = await Promise.all([
+            Center.find().sort({ code: 1 }),
+            User.aggregate([
+                { $match: { center: { $ne: null } } },
+                { $group: { _id: '$center', students: { $sum: 1 } } }
+            ])
+        ]);
+        const countById = new Map(studentCounts.map(c => [String(c._id), c.students]));
+
+        res.status(200).json({
+            success: true,
+            centers: centers.map(c => ({ ...toPublicCenter(c), students: countById.get(String(c._id)) || 0 }))
+        });
+    } catch (e) {
+        console.error("Center List Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.post('/', requireAdmin('super-admin'), async (req, res) => {
+    const code = normalizeCenterCode(req.body.code);
+    if (!code || !req.body.name) return res.status(400).json({ message: 'Code and name required' });
+    if (!/^[A-Z0-9-]{3,20}$/.test(code)) return res.status(400).json({ message: 'Code must be 3-20 letters, digits or dashes' });
+
+    try {
+        if (await Center.exists({ code })) return res.status(409).json({ message: 'A center with this code already exists' });
+
+        const center = await Center.create({ ...pickCenterFields(req.body), code });
+        await recordAudit(req.admin, 'center.create', center.code, { name: center.name });
+
+        res.status(201).json({ success: true, center: toPublicCenter(center) });
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        console.error("Center Create Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.patch('/:code', requireAdmin('super-admin'), async (req, res) => {
+    try {
+        const center = await loadCenter(req, res);
+        if (!center) return;
+
+        const fields = pickCenterFields(req.body);
+        center.set(fields);
+        await center.save();
+
+        // Keep the display name on linked students in sync
+        if (fields.name) await User.updateMany({ center: center._id }, { $set: { centerName: center.name } });
+
+        await recordAudit(req.admin, 'center.update', center.code, fields);
+        res.status(200).json({ success: true, center: toPublicCenter(center) });
+    } catch (e) {
+        if (e.name === 'ValidationError') return res.status(400).json({ message: e.message });
+        console.error("Center Update Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// Link students enrolled before centers existed, matching the old free-text centerName exactly (case-insensitive)
+router.post('/:code/link-users', requireAdmin('super-admin'), async (req, res) => {
+    const { centerName } = req.body;
+    if (!centerName) return res.status(400).json({ message: 'centerName required' });
+
+    try {
+        const center = await loadCenter(req, res);
+        if (!center) return;
+
+        const result = await User.updateMany(
+            { center: null, centerName: new RegExp(`^${escapeRegExp(String(centerName).trim())}$`, 'i') },
+            { $set: { center: center._id, centerName: center.name } }
+        );
+        await recordAudit(req.admin, 'center.link-users', center.code, { centerName, linked: result.modifiedCount });
+
+        res.status(200).json({ success: true, linked: result.modifiedCount });
+    } catch (e) {
+        console.error("Center Link Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// --- CENTER-SCOPED REPORTS (center admins see only their own center) ---
+
+router.get('/:code/students', requireAdmin(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const center = await loadCenter(req, res);
+        if (!center) return;
+
+        const users = await User.find({ center: center._id }).sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            center: toPublicCenter(center),
+            students: users.map(u => ({
+                _id: u._id,
+                name: u.name,
+                mobile: u.mobile,
+                email: u.email,
+                enrolledAt: u.createdAt,
+                courses: (u.courses || []).map(c => ({
+                    courseId: c.courseId,
+                    courseName: c.courseName,
+                    isPaid: c.isPaid,
+                    expiryDate: c.expiryDate,
+                    attemptsLeft: c.attemptsLeft,
+                    modulesCompleted: (c.modulesCompleted || []).length
+                }))
+            }))
+        });
+    } catch (e) {
+        console.error("Center Students Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.get('/:code/enrollments', requireAdmin(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const center = await loadCenter(req, res);
+        if (!center) return;
+
+        // Partially refunded orders still count, net of what was refunded
+        const filter = { center: center._id, status: req.query.status ? String(req.query.status) : { $in: ['PAID', 'PARTIALLY_REFUNDED'] } };
+        const orders = await Order.find(filter).sort({ createdAt: -1 }).limit(500);
+        const revenue = orders.reduce((sum, o) => sum + o.amount - (o.refundedAmount || 0), 0);
+
+        res.status(200).json({
+            success: true,
+            center: toPublicCenter(center),
+            totals: {
+                orders: orders.length,
+                revenue,
+                centerShare: Math.round(revenue * center.revenueSharePercent) / 100
+            },
+            enrollments: orders.map(o => ({
+                orderId: o.orderId,
+                status: o.status,
+                customer: o.customer,
+                items: o.items.map(i => ({ courseId: i.courseId, courseName: i.courseName, price: i.price })),
+                amount: o.amount,
+                refundedAmount: o.refundedAmount,
+                createdAt: o.createdAt,
+                paidAt: o.paidAt
+            }))
+        });
+    } catch (e) {
+        console.error("Center Enrollments Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.get('/:code/exam-results', requireAdmin(...ADMIN_ROLES), async (req, res) => {
+    try {
+        const center = await loadCenter(req, res);
+        if (!center) return;
+
+        const users = await User.find({ center: center._id }, { name: 1, mobile: 1 });
+        const userById = new Map(users.map(u => [String(u._id), u]));
+
+        const filter = { user: { $in: users.map(u => u._id) }, status: 'SUBMITTED' };
+        if (req.query.courseId) filter.courseId = String(req.query.courseId);
+
+        const attempts = await ExamAttempt.find(filter).sort({ submittedAt: -1 }).limit(500);
+        res.status(200).json({
+            success: true,
+            results: attempts.map(a => {
+                const student = userById.get(String(a.user));
+                return { student: { name: student?.name, mobile: student?.mobile }, ...toAttemptSummary(a) };
+            })
+        });
+    } catch (e) {
+        console.error("Center Exam Results Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Coupon from '../models/Coupon.js';
+import Center from '../models/Center.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.js';
+import { normalizeCouponCode } from '../services/coupons.js';
+import { normalizeCenterCode } from '../services/centers.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['description', 'discountType', 'discountValue', 'maxDiscount', 'courses', 'validFrom', 'validUntil', 'maxUses', 'maxUsesPerMobile', 'isActive'];
+
+function pickCouponFields(body) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    return fields;
+}
+
+function validateDiscount(coupon) {
+    if (coupon.discountType === 'percent' && (coupon.discountValue <= 0 || coupon.discountValue > 100)) {
+        return 'Percent discount must be between 0 and 100';
+    }
+    if (coupon.discountType === 'flat' && coupon.discountValue <= 0) {
+        return 'Flat discount must be greater than 0';
+    }
+    return null;
+}
+
+// Referral coupons point at a student (by mobile) or a center (by code)
+async function resolveReferrer({ referrerMobile, referrerCenterCode }) {
+    if (referrerMobile) {
+        const user = await User.findOne({ mobile: String(referrerMobile) });
+        if (!user) return { error: 'Referrer student not found' };
+        return { referrer: { user: user._id } };
+    }
+    if (referrerCenterCode) {
+        const center = await Center.findOne({ code: normalizeCenterCode(referrerCenterCode) });
+        if (!center) return { error: 'Referrer center not found' };
+        return { referrer: { center: center._id } };
+    }
+    return {};
+}
+
+router.get('/', requireAdmin('super-admin', 'support'), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+        const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).limit(500);
+        res.status(200).json({ success: true, coupons });
+    } catch (e) {
+        console.error("Coupon List Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.post('/', requireAdmin('super-admin'), async (req, res) => {
+    const code = normalizeCouponCode(req.body.code);
+    if (!code || !req.body.discountType || req.body.discountValue === undefined) {
+        return res.status(400).json({ message: 'Code, discountType and discountValue required' });
+    }
+    if (!/^[A-Z0-9-]{3,30}$/.test(code)) return res.status(400).json({ message: 'Code must be 3-30 letters, digits or dashes' });
+
+    try {
+        if (await Coupon.exists({ code })) return res.status(409).json({ message: 'A coupon with this code already exists' });
+
+        const { referrer, error } = await resolveReferrer(req.body);
+        if (error) return res.status(400).json({ message: error });
+
+        const coupon = new Coupon({ ...pickCouponFields(req.body), code, referrer });
+        const discountError = validateDiscount(coupon);
+        if (discountError) return res.status(400).json({ message: discountError });
+
+        await coupon.save();
+        await recordAudit(req.admin, 'coupon.create', coupon.code, pickCouponFields(req.body));
+
+        res.status(201).json({ success: true, coupon });
+    } catch (e) {
+        if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ message: e.message });
+        console.error("Coupon Create Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.patch('/:code', requireAdmin('super-admin'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findOne({ code: normalizeCouponCode(req.params.code) });
+        if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+        const fields = pickCouponFields(req.body);
+        coupon.set(fields);
+        const discountError = validateDiscount(coupon);
+        if (discountError) return res.status(400).json({ message: discountError });
+
+        await coupon.save();
+        await recordAudit(req.admin, 'coupon.update', coupon.code, fields);
+
+        res.status(200).json({ success: true, coupon });
+    } catch (e) {
+        if (e.name === 'ValidationError' || e.name === 'CastError') return res.status(400).json({ message: e.message });
+        console.error("Coupon Update Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// Paid orders that used a coupon, with total discount given
+router.get('/:code/usage', requireAdmin('super-admin', 'support'), async (req, res) => {
+    try {
+        const code = normalizeCouponCode(req.params.code);
+        const orders = await Order.find({ 'coupon.code': code, status: 'PAID' }).sort({ paidAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            code,
+            uses: orders.length,
+            totalDiscount: orders.reduce((sum, o) => sum + (o.coupon?.discount || 0), 0),
+            revenue: orders.reduce((sum, o) => sum + o.amount, 0),
+            orders: orders.map(o => ({
+                orderId: o.orderId,
+                customer: o.customer,
+                amount: o.amount,
+                discount: o.coupon.discount,
+                paidAt: o.paidAt
+            }))
+        });
+    } catch (e) {
+        console.error("Coupon Usage Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+export default router;
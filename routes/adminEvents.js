@@ -0,0 +1,54 @@
+import express from 'express';
+import { requireAdmin } from '../middleware/auth.js';
+import { subscribe, eventsSince } from '../services/liveEvents.js';
+
+// Live feed of orders, payments, logins and exams as Server-Sent Events.
+// Events: order.created, payment.verified, student.login, exam.started
+const router = express.Router();
+
+// Proxies close idle connections, so a comment is sent this often
+const HEARTBEAT_MS = 25 * 1000;
+
+// EventSource can't set headers, so browsers pass the admin token as ?token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+// Center admins only see events for their own center
+function canSee(admin, event) {
+    if (admin.role !== 'center-admin') return true;
+    return Boolean(admin.center) && event.center === String(admin.center);
+}
+
+// Resume after a reconnect with the Last-Event-ID header (sent by EventSource) or ?lastEventId=
+router.get('/', tokenFromQuery, requireAdmin(), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        if (!canSee(req.admin, event)) return;
+        const payload = { type: event.type, at: event.at, ...event.data };
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    eventsSince(req.get('last-event-id') || req.query.lastEventId).forEach(send);
+
+    const unsubscribe = subscribe(send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import Order from '../models/Order.js';
+import { ADMIN_ROLES } from '../models/Admin.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ServiceError } from '../services/errors.js';
+import { recordAudit } from '../services/audit.js';
+import { resolveReportOptions } from '../services/reports.js';
+import {
+    issueInvoice, renderInvoicePdf, renderInvoicesPdf, toInvoiceRegisterRow, INVOICE_REGISTER_COLUMNS
+} from '../services/invoices.js';
+import { toCsvRow } from '../utils/csv.js';
+import { invoiceParams, invoiceQuery } from '../schemas/invoices.js';
+
+// Issued invoices for the accountant: the GST sales register (JSON / CSV) and PDFs in bulk.
+// Center admins only ever see their own center's invoices.
+const router = express.Router();
+
+const PAGE_SIZE = 50;
+
+// Larger batches would keep the whole PDF in memory for too long; narrow the dates instead
+const MAX_BULK_PDF = 500;
+
+// Invoice date window (default: this month so far) and center scope
+async function invoiceFilter(req) {
+    const centerId = req.admin.role === 'center-admin' ? req.admin.center : undefined;
+    const options = await resolveReportOptions({ from: req.query.from, to: req.query.to, center: req.query.center, centerId });
+
+    const filter = { issuedAt: { $gte: options.start, $lt: options.end } };
+    if (options.center) filter.center = options.center._id;
+    return { filter, options };
+}
+
+async function findScopedInvoice(req) {
+    const invoice = await Invoice.findOne({ orderId: req.params.orderId });
+    const outOfScope = req.admin.role === 'center-admin' && String(invoice?.center) !== String(req.admin.center);
+    if (!invoice || outOfScope) throw new ServiceError(404, 'No invoice for this order', 'INVOICE_NOT_FOUND');
+    return invoice;
+}
+
+// Invoices in the window, in number order; `?format=csv` exports the whole window as the sales register
+router.get('/', requireAdmin(...ADMIN_ROLES), validate(invoiceQuery), async (req, res) => {
+    const { filter, options } = await invoiceFilter(req);
+
+    if (req.query.format !== 'csv') {
+        const { page } = req.query;
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter).sort({ financialYear: 1, sequence: 1 }).skip((page - 1) * PAGE_SIZE).limit(PAGE_SIZE),
+            Invoice.countDocuments(filter)
+        ]);
+        return res.status(200).json({ success: true, from: options.fromDay, to: options.toDay, total, page, invoices });
+    }
+
+    const invoices = await Invoice.find(filter).sort({ financialYear: 1, sequence: 1 });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="invoices_${options.fromDay}_${options.toDay}.csv"`);
+    res.write('\uFEFF'); // BOM, so Excel opens the file as UTF-8
+    res.write(toCsvRow(INVOICE_REGISTER_COLUMNS));
+    for (const invoice of invoices) {
+        const row = toInvoiceRegisterRow(invoice);
+        res.write(toCsvRow(INVOICE_REGISTER_COLUMNS.map(c => row[c])));
+    }
+    res.end();
+});
+
+// Every invoice in the window as one PDF, one invoice per page
+router.get('/pdf', requireAdmin(...ADMIN_ROLES), validate(invoiceQuery), async (req, res) => {
+    const { filter, options } = await invoiceFilter(req);
+
+    const count = await Invoice.countDocuments(filter);
+    if (count > MAX_BULK_PDF) {
+        throw new ServiceError(400, `${count} invoices in this period; download at most ${MAX_BULK_PDF} at a time`, 'EXPORT_TOO_LARGE', { count, max: MAX_BULK_PDF });
+    }
+
+    const invoices = await Invoice.find(filter).sort({ financialYear: 1, sequence: 1 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoices_${options.fromDay}_${options.toDay}.pdf"`);
+    renderInvoicesPdf(invoices, res);
+});
+
+router.get('/:orderId', requireAdmin(...ADMIN_ROLES), validate(invoiceParams), async (req, res) => {
+    const invoice = await findScopedInvoice(req);
+    res.status(200).json({ success: true, invoice });
+});
+
+router.get('/:orderId/download', requireAdmin(...ADMIN_ROLES), validate(invoiceParams), async (req, res) => {
+    const invoice = await findScopedInvoice(req);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    renderInvoicePdf(invoice, res);
+});
+
+// Invoice a paid order now, e.g. one paid before invoicing was switched on (returns the existing invoice if any)
+router.post('/:orderId/issue', requireAdmin('super-admin'), validate(invoiceParams), async (req, res) => {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) throw new ServiceError(404, 'Order not found', 'ORDER_NOT_FOUND');
+
+    const invoice = await issueInvoice(order);
+    await recordAudit(req.admin, 'invoice.issue', order.orderId, { invoiceNumber: invoice.invoiceNumber });
+    res.status(200).json({ success: true, invoice });
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.js';
+import { runReconciliationNow } from '../services/reconciliation.js';
+import { listJobs } from '../services/scheduler.js';
+
+const router = express.Router();
+
+const STAFF = ['super-admin', 'support'];
+
+// Latest runs; `?mismatchesOnly=true` hides runs where gateway and database agreed
+router.get('/reports', requireAdmin(...STAFF), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    try {
+        const filter = req.query.mismatchesOnly === 'true' ? { 'mismatches.0': { $exists: true } } : {};
+        const reports = await ReconciliationReport.find(filter, { mismatches: 0 }).sort({ startedAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, jobs: listJobs(), reports });
+    } catch (e) {
+        console.error("Reconciliation Report List Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.get('/reports/:reportId', requireAdmin(...STAFF), async (req, res) => {
+    try {
+        const report = await ReconciliationReport.findById(req.params.reportId);
+        if (!report) return res.status(404).json({ message: 'Report not found' });
+        res.status(200).json({ success: true, report });
+    } catch (e) {
+        if (e.name === 'CastError') return res.status(404).json({ message: 'Report not found' });
+        console.error("Reconciliation Report Fetch Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+router.post('/run', requireAdmin('super-admin'), async (req, res) => {
+    try {
+        const report = await runReconciliationNow(req.admin);
+        if (!report) return res.status(409).json({ message: 'A reconciliation run is already in progress' });
+
+        await recordAudit(req.admin, 'reconciliation.run', report._id, {
+            checked: report.checked, fulfilled: report.fulfilled, expired: report.expired
+        });
+        res.status(200).json({ success: true, report });
+    } catch (e) {
+        console.error("Reconciliation Run Error:", e);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+export default router;
@@ -0,0 +1,85 @@
+import express from 'express';
+import Center from '../models/Center.js';
+import { ADMIN_ROLES } from '../models/Admin.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { toCsvRow } from '../utils/csv.js';
+import {
+    resolveReportOptions, buildSalesReport, salesReportColumns, orderLinesCursor, toOrderLineRow, ORDER_LINE_COLUMNS
+} from '../services/reports.js';
+import { reportQuery } from '../schemas/reports.js';
+
+// Sales reporting for charts (JSON) and the accountant (CSV).
+// Center admins only ever see their own center's sales.
+const router = express.Router();
+
+function reportOptions(req) {
+    const centerId = req.admin.role === 'center-admin' ? req.admin.center : undefined;
+    return resolveReportOptions({ ...req.query, centerId });
+}
+
+function sendCsvHeaders(res, filename) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write('\uFEFF'); // BOM, so Excel opens the file as UTF-8
+}
+
+// Resolves once the client has taken the buffered output, or has gone away
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Aggregated sales, e.g. ?groupBy=course,period&period=month&from=2026-04-01&to=2027-03-31
+router.get('/sales', requireAdmin(...ADMIN_ROLES), validate(reportQuery), async (req, res) => {
+    const options = await reportOptions(req);
+    const report = await buildSalesReport(options);
+
+    if (req.query.format !== 'csv') {
+        return res.status(200).json({ success: true, report });
+    }
+
+    const columns = salesReportColumns(report);
+    sendCsvHeaders(res, `sales_${report.from}_${report.to}.csv`);
+    res.write(toCsvRow(columns));
+    for (const row of report.rows) res.write(toCsvRow(columns.map(c => row[c])));
+    res.write(toCsvRow(columns.map((c, i) => (i === 0 ? 'TOTAL' : report.totals[c] ?? ''))));
+    res.end();
+});
+
+// Every order line in the window (one row per course bought), streamed as CSV
+router.get('/sales/orders', requireAdmin(...ADMIN_ROLES), validate(reportQuery), async (req, res) => {
+    const options = await reportOptions(req);
+    const centers = await Center.find({}, 'code');
+    const centerMap = new Map(centers.map(c => [String(c._id), c]));
+
+    const cursor = orderLinesCursor(options);
+    sendCsvHeaders(res, `orders_${options.fromDay}_${options.toDay}.csv`);
+    res.write(toCsvRow(ORDER_LINE_COLUMNS));
+
+    try {
+        for await (const line of cursor) {
+            const row = toOrderLineRow(line, centerMap);
+            // Respect backpressure so a large export doesn't buffer in memory
+            if (!res.write(toCsvRow(ORDER_LINE_COLUMNS.map(c => row[c])))) await waitForDrain(res);
+            if (res.destroyed) break; // Client went away
+        }
+    } catch (e) {
+        // Headers are gone, so the client only sees a truncated file
+        console.error("Order Export Error:", e);
+        res.destroy(e);
+        return;
+    } finally {
+        await cursor.close();
+    }
+    res.end();
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import User from '../models/User.js';
+import Certificate from '../models/Certificate.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ServiceError } from '../services/errors.js';
+import { findCourse } from '../services/catalog.js';
+import { isCourseComplete, issueCertificate, toPublicCertificate, renderCertificatePdf } from '../services/certificates.js';
+import * as schemas from '../schemas/index.js';
+
+const router = express.Router();
+
+function buildVerifyUrl(req, certificateId) {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl.replace(/\/$/, '')}/api/certificates/${encodeURIComponent(certificateId)}/verify`;
+}
+
+// My certificates (PROTECTED)
+router.get('/', verifyToken, async (req, res) => {
+    const certificates = await Certificate.find({ user: req.user._id }).sort({ issuedAt: -1 });
+    res.status(200).json({ success: true, certificates: certificates.map(toPublicCertificate) });
+});
+
+// Claim the certificate for a completed course (PROTECTED)
+router.post('/', verifyToken, validate(schemas.claimCertificate), async (req, res) => {
+    const { courseId } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+
+    const courseEntry = user.courses.find(c => c.courseId === courseId && c.isPaid);
+    if (!courseEntry) throw new ServiceError(404, 'Course not found or not paid', 'COURSE_NOT_OWNED');
+
+    const course = await findCourse(courseId);
+    if (!isCourseComplete(course, courseEntry)) {
+        throw new ServiceError(403, 'Complete all modules of this course to get the certificate', 'COURSE_NOT_COMPLETE');
+    }
+
+    const certificate = await issueCertificate(user, course);
+    res.status(200).json({ success: true, certificate: toPublicCertificate(certificate) });
+});
+
+// Download PDF (PROTECTED, owner only)
+router.get('/:certificateId/download', verifyToken, validate(schemas.certificateParams), async (req, res) => {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId, user: req.user._id });
+    if (!certificate) throw new ServiceError(404, 'Certificate not found', 'CERTIFICATE_NOT_FOUND');
+    if (certificate.revokedAt) throw new ServiceError(410, 'This certificate has been revoked', 'CERTIFICATE_REVOKED');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${certificate.certificateId}.pdf"`);
+    renderCertificatePdf(certificate, res, { verifyUrl: buildVerifyUrl(req, certificate.certificateId) });
+});
+
+// Public verification for employers: confirms the certificate number is genuine
+router.get('/:certificateId/verify', validate(schemas.certificateParams), async (req, res) => {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId });
+    if (!certificate) throw new ServiceError(404, 'No certificate with this number', 'CERTIFICATE_NOT_FOUND', { valid: false });
+
+    const { studentName, centerName, courseName, issuedAt, valid } = toPublicCertificate(certificate);
+    res.status(200).json({
+        success: true,
+        valid,
+        certificate: { certificateId: certificate.certificateId, studentName, centerName, courseName, issuedAt },
+        message: valid ? 'Certificate is genuine' : 'This certificate has been revoked'
+    });
+});
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import User from '../models/User.js';
+import { optionalToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, byIp, byMobile } from '../middleware/rateLimit.js';
+import { quoteCoupon, toPublicCoupon } from '../services/coupons.js';
+import { createCheckout, confirmPayment, cartLines, priceCart } from '../services/checkout.js';
+import * as schemas from '../schemas/index.js';
+
+// Buying courses and add-ons. Mounted at /api by server.js and served on its own by
+// api/create-order.js and api/verify-payment.js.
+const router = express.Router();
+
+// Per IP and per mobile
+const MINUTE = 60 * 1000;
+const createOrderLimits = [
+    rateLimit({ name: 'create-order:ip', windowMs: 60 * MINUTE, max: 20, key: byIp }),
+    rateLimit({ name: 'create-order:mobile', windowMs: 60 * MINUTE, max: 10, key: byMobile('customerPhone') })
+];
+const couponLimits = rateLimit({ name: 'apply-coupon:ip', windowMs: 15 * MINUTE, max: 30, key: byIp });
+// verify-payment logs students in, so order ids can't be probed from one address
+const verifyPaymentLimits = rateLimit({ name: 'verify-payment:ip', windowMs: 15 * MINUTE, max: 60, key: byIp });
+
+// 1. CREATE ORDER
+router.post('/create-order', createOrderLimits, validate(schemas.createOrder), async (req, res) => {
+    const { orderId, gateway, checkout, lines } = await createCheckout(req.body, req);
+
+    // For Cashfree `checkout` is the Cashfree order itself, as the frontend has always received it
+    res.json({ ...checkout, gateway, order_id: orderId, lines });
+});
+
+// 1b. APPLY COUPON (price quote only, nothing is reserved)
+// For a logged-in student, courses they already have are left out as create-order would and the
+// per-student limits are checked. Anyone else gets a quote for every line at catalog price, so a
+// request never reveals what another student owns or which codes they used.
+router.post('/apply-coupon', couponLimits, optionalToken, validate(schemas.applyCoupon), async (req, res) => {
+    const user = req.user ? await User.findById(req.user._id) : null;
+    const { purchases, lines } = await priceCart(cartLines(req.body), user);
+
+    const quote = await quoteCoupon({ code: req.body.code, mobile: user?.mobile, lines: purchases.map(p => ({ courseId: p.course.courseId, amount: p.amount })) });
+    res.status(200).json({
+        success: true,
+        coupon: toPublicCoupon(quote.coupon),
+        originalAmount: quote.originalAmount,
+        discount: quote.discount,
+        finalAmount: quote.finalAmount,
+        lines
+    });
+});
+
+// 2. VERIFY PAYMENT & GENERATE TOKEN
+router.post('/verify-payment', verifyPaymentLimits, validate(schemas.verifyPayment), async (req, res) => {
+    const login = await confirmPayment(req.body.orderId, req);
+    res.status(200).json({ success: true, ...login });
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { startExam, submitAttempt, toPublicQuestion, toAttemptSummary } from '../services/exams.js';
+import * as schemas from '../schemas/index.js';
+
+// Exams. Mounted at /api by server.js and served on its own by api/start-exam.js.
+const router = express.Router();
+
+// 4. START EXAM (PROTECTED)
+router.post('/start-exam', verifyToken, validate(schemas.startExam), async (req, res) => {
+    // We trust the token now
+    const { attempt, paper, attemptsLeft } = await startExam(req.user.mobile, req.body.courseId);
+
+    res.status(200).json({
+        success: true,
+        attemptsLeft,
+        attemptId: attempt._id,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        timeLimitMinutes: attempt.timeLimitMinutes,
+        questions: paper.map(toPublicQuestion)
+    });
+});
+
+// 6. SUBMIT EXAM (PROTECTED)
+router.post('/submit-exam', verifyToken, validate(schemas.submitExam), async (req, res) => {
+    const { attemptId, answers } = req.body;
+
+    const attempt = await submitAttempt({ userId: req.user._id, attemptId, answers });
+    res.status(200).json({ success: true, result: toAttemptSummary(attempt) });
+});
+
+// 7. EXAM HISTORY (PROTECTED)
+router.get('/exam-history', verifyToken, validate(schemas.examHistory), async (req, res) => {
+    const { courseId } = req.query;
+
+    const filter = { user: req.user._id };
+    if (courseId) filter.courseId = courseId;
+
+    const attempts = await ExamAttempt.find(filter).sort({ startedAt: -1 });
+    res.status(200).json({ success: true, attempts: attempts.map(toAttemptSummary) });
+});
+
+export default router;
@@ -0,0 +1,28 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ServiceError } from '../services/errors.js';
+import { toPublicInvoice, renderInvoicePdf } from '../services/invoices.js';
+import { invoiceParams } from '../schemas/invoices.js';
+
+// Tax invoices for the student's own paid orders
+const router = express.Router();
+
+// My invoices, newest first (PROTECTED)
+router.get('/', verifyToken, async (req, res) => {
+    const invoices = await Invoice.find({ user: req.user._id }).sort({ issuedAt: -1 });
+    res.status(200).json({ success: true, invoices: invoices.map(toPublicInvoice) });
+});
+
+// Download PDF (PROTECTED, owner only)
+router.get('/:orderId/download', verifyToken, validate(invoiceParams), async (req, res) => {
+    const invoice = await Invoice.findOne({ orderId: req.params.orderId, user: req.user._id });
+    if (!invoice) throw new ServiceError(404, 'No invoice for this order yet', 'INVOICE_NOT_FOUND');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    renderInvoicePdf(invoice, res);
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, byIp, byMobile } from '../middleware/rateLimit.js';
+import { ServiceError } from '../services/errors.js';
+import { isLegacyLoginEnabled, loginWithDetails, requestLoginOtp, loginWithOtp } from '../services/login.js';
+import * as schemas from '../schemas/index.js';
+
+// Student login. Mounted at /api by server.js and served on its own by api/login.js.
+const router = express.Router();
+
+// Per IP and per mobile
+const MINUTE = 60 * 1000;
+const loginLimits = [
+    rateLimit({ name: 'login:ip', windowMs: 15 * MINUTE, max: 20, key: byIp }),
+    rateLimit({ name: 'login:mobile', windowMs: 15 * MINUTE, max: 10, key: byMobile('mobile') })
+];
+const otpRequestLimits = rateLimit({ name: 'otp-request:ip', windowMs: 60 * MINUTE, max: 10, key: byIp });
+
+// 3. LOGIN API (Strict) & GENERATE TOKEN
+// Legacy name + mobile + email login, superseded by the OTP flow below
+router.post('/login', loginLimits, (req, res, next) => {
+    if (!isLegacyLoginEnabled()) {
+        throw new ServiceError(410, 'This login method is no longer available. Please login with OTP.', 'LOGIN_METHOD_DISABLED');
+    }
+    next();
+}, validate(schemas.login), async (req, res) => {
+    const session = await loginWithDetails(req.body, req);
+    res.status(200).json({ success: true, ...session });
+});
+
+// 3b. OTP LOGIN: REQUEST
+router.post('/login/request-otp', otpRequestLimits, validate(schemas.requestOtp), async (req, res) => {
+    const { expiresInSeconds, channel } = await requestLoginOtp(req.body.mobile);
+    res.status(200).json({ success: true, message: 'OTP sent', expiresInSeconds, channel });
+});
+
+// 3c. OTP LOGIN: VERIFY & GENERATE TOKEN
+router.post('/login/verify-otp', loginLimits, validate(schemas.verifyOtp), async (req, res) => {
+    const session = await loginWithOtp(req.body, req);
+    res.status(200).json({ success: true, ...session });
+});
+
+export default router;
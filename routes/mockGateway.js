@@ -0,0 +1,53 @@
+import express from 'express';
+import { getMockOrder, settleMockOrder } from '../services/gateways/mock.js';
+
+// Stand-in for a hosted payment page, used with PAYMENT_GATEWAY=mock.
+// Only mounted when the mock gateway is available (never in production).
+const router = express.Router();
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+router.get('/pay/:orderId', (req, res) => {
+    const order = getMockOrder(req.params.orderId);
+    if (!order) return res.status(404).send('Unknown mock order');
+
+    const action = `/api/mock-gateway/pay/${encodeURIComponent(order.orderId)}`;
+    res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head><title>Mock Payment</title></head>
+        <body style="font-family: Arial, sans-serif; text-align: center; padding: 40px;">
+            <h2>Mock Payment Gateway</h2>
+            <p>Order <b>${escapeHtml(order.orderId)}</b> for ${escapeHtml(order.customer?.name || '')}</p>
+            <p style="font-size: 1.5em;">₹${escapeHtml(order.amount)}</p>
+            <p>Status: ${escapeHtml(order.status)}</p>
+            <form method="POST" action="${action}" style="display: inline;">
+                <input type="hidden" name="outcome" value="success">
+                <button type="submit">Pay</button>
+            </form>
+            <form method="POST" action="${action}" style="display: inline;">
+                <input type="hidden" name="outcome" value="failure">
+                <button type="submit">Fail payment</button>
+            </form>
+        </body>
+        </html>
+    `);
+});
+
+// Form posts are sent back to the order's return URL; JSON callers get the order state
+router.post('/pay/:orderId', express.urlencoded({ extended: false }), (req, res) => {
+    const outcome = req.body?.outcome === 'failure' ? 'failure' : 'success';
+    const order = settleMockOrder(req.params.orderId, outcome);
+    if (!order) return res.status(404).json({ message: 'Unknown mock order' });
+
+    console.log(`[MockGateway] Order ${order.orderId}: ${outcome}`);
+
+    if (req.is('application/x-www-form-urlencoded') && order.returnUrl) {
+        return res.redirect(303, order.returnUrl);
+    }
+    res.status(200).json({ success: true, orderId: order.orderId, status: order.status, returnUrl: order.returnUrl });
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import User from '../models/User.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ServiceError } from '../services/errors.js';
+import { findCourse } from '../services/catalog.js';
+import { requireActiveCourse } from '../services/auth.js';
+import { describeProgress, startModule } from '../services/progress.js';
+import { progressParams, moduleParams } from '../schemas/progress.js';
+
+// Module progress for the LMS. Modules are completed through /api/update-progress.
+const router = express.Router();
+
+// My progress in a course: every module's status, percent complete and the next module (PROTECTED)
+router.get('/:courseId', verifyToken, validate(progressParams), async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+
+    // Progress stays visible after the course expires
+    const courseEntry = user.courses.find(c => c.courseId === req.params.courseId && c.isPaid);
+    if (!courseEntry) throw new ServiceError(404, 'Course not found or not paid', 'COURSE_NOT_OWNED');
+
+    const course = await findCourse(req.params.courseId);
+    res.status(200).json({ success: true, progress: describeProgress(course, courseEntry) });
+});
+
+// Start a module; modules with a minimum time can only be completed that long after starting (PROTECTED)
+router.post('/:courseId/modules/:moduleId/start', verifyToken, validate(moduleParams), async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+
+    const courseEntry = requireActiveCourse(user, req.params.courseId);
+    const course = await findCourse(req.params.courseId);
+
+    const started = startModule(course, courseEntry, req.params.moduleId);
+    await user.save();
+
+    const progress = describeProgress(course, courseEntry);
+    res.status(200).json({
+        success: true,
+        module: progress.modules.find(m => m.moduleId === started.moduleId),
+        progress
+    });
+});
+
+export default router;
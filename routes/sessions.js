@@ -0,0 +1,42 @@
+import express from 'express';
+import { verifyToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { ServiceError } from '../services/errors.js';
+import { refreshSession, listSessions, revokeSession, revokeUserSessions, toPublicSession } from '../services/sessions.js';
+import * as schemas from '../schemas/index.js';
+
+const router = express.Router();
+
+// Exchange a refresh token for a new access token + refresh token (the old refresh token stops working)
+router.post('/refresh', rateLimit({ name: 'refresh:ip', windowMs: 15 * 60 * 1000, max: 60 }), validate(schemas.refreshSession), async (req, res) => {
+    const session = await refreshSession(req.body.refreshToken);
+    res.status(200).json({ success: true, ...session });
+});
+
+// My logged-in devices (PROTECTED)
+router.get('/', verifyToken, async (req, res) => {
+    const sessions = await listSessions(req.user._id);
+    res.status(200).json({ success: true, sessions: sessions.map(s => toPublicSession(s, req.sessionId)) });
+});
+
+// Logout on this device (PROTECTED)
+router.post('/logout', verifyToken, async (req, res) => {
+    if (req.sessionId) await revokeSession(req.sessionId, req.user._id, 'logout');
+    res.status(200).json({ success: true });
+});
+
+// Logout every other device (PROTECTED)
+router.delete('/', verifyToken, async (req, res) => {
+    const revoked = await revokeUserSessions(req.user._id, { except: req.sessionId, reason: 'revoked' });
+    res.status(200).json({ success: true, revoked });
+});
+
+// Logout one of my devices (PROTECTED)
+router.delete('/:sessionId', verifyToken, validate(schemas.sessionParams), async (req, res) => {
+    const revoked = await revokeSession(req.params.sessionId, req.user._id, 'revoked');
+    if (!revoked) throw new ServiceError(404, 'Session not found', 'SESSION_NOT_FOUND');
+    res.status(200).json({ success: true });
+});
+
+export default router;
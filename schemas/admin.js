@@ -0,0 +1,148 @@
+import { ADMIN_ROLES } from '../models/Admin.js';
+import { ORDER_STATUSES } from '../models/Order.js';
+import { EMAIL_STATUSES } from '../models/EmailOutbox.js';
+import { mobile, email, name, courseId, orderId } from './common.js';
+
+const page = { label: 'Page', type: 'integer', min: 1, default: 1 };
+const password = { label: 'Password', minLength: 10, maxLength: 200 };
+const centerCode = { label: 'Center code', maxLength: 20 };
+
+export const adminLogin = {
+    body: {
+        email: { ...email, required: true, lowercase: true },
+        password: { label: 'Password', required: true, maxLength: 200 }
+    }
+};
+
+export const userSearch = {
+    query: {
+        q: { label: 'Search', maxLength: 100 },
+        page,
+        limit: { label: 'Limit', type: 'integer', min: 1, max: 100, default: 25 }
+    }
+};
+
+export const userParams = {
+    params: {
+        userId: { label: 'User', type: 'objectId', required: true }
+    }
+};
+
+const userCourseParams = {
+    userId: { label: 'User', type: 'objectId', required: true },
+    courseId: { ...courseId, required: true }
+};
+
+// `days` from the current expiry (or now, if expired), or an exact `expiryDate`
+export const extendCourse = {
+    params: userCourseParams,
+    body: {
+        days: { label: 'Days', type: 'integer', min: 1 },
+        expiryDate: { label: 'Expiry date', maxLength: 40 }
+    }
+};
+
+export const grantAttempts = {
+    params: userCourseParams,
+    body: {
+        attempts: { label: 'Attempts', type: 'integer', required: true, min: 1 }
+    }
+};
+
+export const orderSearch = {
+    query: {
+        status: { label: 'Status', enum: ORDER_STATUSES, uppercase: true },
+        mobile,
+        orderId,
+        page,
+        limit: { label: 'Limit', type: 'integer', min: 1, max: 100, default: 25 }
+    }
+};
+
+export const adminOrderParams = {
+    params: { orderId: { ...orderId, required: true } }
+};
+
+export const markPaid = {
+    params: adminOrderParams.params,
+    body: {
+        note: { label: 'Note', maxLength: 500 }
+    }
+};
+
+// See services/refunds.js initiateRefund
+export const createRefund = {
+    params: adminOrderParams.params,
+    body: {
+        reason: { label: 'Refund reason', required: true, maxLength: 500 },
+        courseIds: { label: 'Courses', type: 'array', maxItems: 20, items: courseId },
+        amount: { label: 'Amount', type: 'number', min: 0 },
+        shortenTo: { label: 'Shorten to', maxLength: 40 }
+    }
+};
+
+// A CSV body is checked as { csv }, a JSON array as { questions } (see routes/admin.js).
+// One of them is required (checked by the route).
+export const importQuestions = {
+    query: {
+        dryRun: { label: 'Dry run', type: 'boolean', default: false }
+    },
+    body: {
+        csv: { label: 'CSV' },
+        questions: { label: 'Questions', type: 'array', minItems: 1, maxItems: 5000, items: { label: 'Question', type: 'object' } }
+    }
+};
+
+export const createAdmin = {
+    body: {
+        name: { ...name, required: true },
+        email: { ...email, required: true, lowercase: true },
+        password: { ...password, required: true },
+        role: { label: 'Role', required: true, enum: ADMIN_ROLES },
+        centerCode
+    }
+};
+
+export const updateAdmin = {
+    params: {
+        adminId: { label: 'Admin', type: 'objectId', required: true }
+    },
+    body: {
+        role: { label: 'Role', enum: ADMIN_ROLES },
+        isActive: { label: 'Active', type: 'boolean' },
+        password,
+        centerCode
+    }
+};
+
+export const auditLogQuery = {
+    query: {
+        target: { label: 'Target', maxLength: 100 }
+    }
+};
+
+export const securityEventQuery = {
+    query: {
+        type: { label: 'Type', maxLength: 60 },
+        mobile,
+        ip: { label: 'IP', maxLength: 64 },
+        page,
+        limit: { label: 'Limit', type: 'integer', min: 1, max: 200, default: 50 }
+    }
+};
+
+export const emailSearch = {
+    query: {
+        status: { label: 'Status', enum: EMAIL_STATUSES, uppercase: true },
+        template: { label: 'Template', maxLength: 60 },
+        to: { label: 'To', maxLength: 254, lowercase: true },
+        page,
+        limit: { label: 'Limit', type: 'integer', min: 1, max: 200, default: 50 }
+    }
+};
+
+export const emailParams = {
+    params: {
+        emailId: { label: 'Email', type: 'objectId', required: true }
+    }
+};
@@ -0,0 +1,24 @@
+import { mobile, email, name, deviceName } from './common.js';
+
+export const login = {
+    body: {
+        name: { ...name, required: true },
+        mobile: { ...mobile, required: true },
+        email: { ...email, required: true },
+        deviceName
+    }
+};
+
+export const requestOtp = {
+    body: {
+        mobile: { ...mobile, required: true }
+    }
+};
+
+export const verifyOtp = {
+    body: {
+        mobile: { ...mobile, required: true },
+        otp: { label: 'OTP', required: true, pattern: /^\d{4,8}$/, message: 'Enter the OTP you received' },
+        deviceName
+    }
+};
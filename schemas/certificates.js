@@ -0,0 +1,14 @@
+import { courseId } from './common.js';
+
+export const claimCertificate = {
+    body: {
+        courseId: { ...courseId, required: true }
+    }
+};
+
+// e.g. SCSM-2026-ABCD-EFGH; typed in by employers, so case doesn't matter
+export const certificateParams = {
+    params: {
+        certificateId: { label: 'Certificate number', required: true, maxLength: 40, uppercase: true, pattern: /^[A-Z0-9-]+$/ }
+    }
+};
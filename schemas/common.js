@@ -0,0 +1,16 @@
+// Field rules shared by the request schemas (see middleware/validate.js for the rule format)
+
+export const mobile = { label: 'Mobile number', pattern: /^\+?\d{10,15}$/, message: 'Enter a valid mobile number' };
+
+export const email = { label: 'Email', maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter a valid email address' };
+
+export const name = { label: 'Name', maxLength: 100 };
+
+export const courseId = { label: 'Course', maxLength: 50, pattern: /^[A-Za-z0-9_-]+$/ };
+
+export const day = { pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'Dates must look like 2026-10-01' };
+
+export const orderId = { label: 'Order ID', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ };
+
+// Shown on the "logged-in devices" list
+export const deviceName = { label: 'Device name', maxLength: 100 };
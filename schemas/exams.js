@@ -0,0 +1,28 @@
+import { courseId } from './common.js';
+
+export const startExam = {
+    body: {
+        courseId: { ...courseId, required: true }
+    }
+};
+
+export const updateProgress = {
+    body: {
+        courseId: { ...courseId, required: true },
+        completedModules: { label: 'Completed modules', type: 'array', required: true, maxItems: 500, items: { type: 'integer', min: 0 } }
+    }
+};
+
+// answers: [{ questionId, selected }] or { [questionId]: selected }
+export const submitExam = {
+    body: {
+        attemptId: { label: 'Attempt ID', type: 'objectId', required: true },
+        answers: { label: 'Answers', type: ['array', 'object'], default: [] }
+    }
+};
+
+export const examHistory = {
+    query: {
+        courseId
+    }
+};
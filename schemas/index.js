@@ -0,0 +1,10 @@
+// Request schemas for the routes in server.js, checked by middleware/validate.js
+export * from './orders.js';
+export * from './auth.js';
+export * from './exams.js';
+export * from './progress.js';
+export * from './reports.js';
+export * from './invoices.js';
+export * from './sessions.js';
+export * from './certificates.js';
+export * from './admin.js';
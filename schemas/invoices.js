@@ -0,0 +1,16 @@
+import { orderId, day } from './common.js';
+
+export const invoiceParams = {
+    params: { orderId: { ...orderId, required: true } }
+};
+
+// Invoices are picked by invoice date; `to` is inclusive
+export const invoiceQuery = {
+    query: {
+        from: { ...day, label: 'From' },
+        to: { ...day, label: 'To' },
+        center: { label: 'Center code', maxLength: 20 },
+        page: { label: 'Page', type: 'integer', min: 1, default: 1 },
+        format: { label: 'Format', enum: ['json', 'csv'], default: 'json' }
+    }
+};
@@ -0,0 +1,65 @@
+import { mobile, email, name, courseId, orderId, deviceName } from './common.js';
+import { GSTIN_PATTERN } from '../utils/gstStates.js';
+import { PURCHASE_TYPES } from '../models/Order.js';
+
+// What is bought for `courseId`: the course, or a renewal / attempt pack from its catalog entry
+const purchase = {
+    purchaseType: { label: 'Purchase type', enum: PURCHASE_TYPES, default: 'course' },
+    days: { label: 'Renewal days', type: 'integer', min: 1 },
+    attempts: { label: 'Attempts', type: 'integer', min: 1 }
+};
+
+// A cart: several courses / add-ons bought in one order
+const MAX_CART_ITEMS = 10;
+const items = {
+    label: 'Items',
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_CART_ITEMS,
+    items: { label: 'Item', type: 'object', properties: { courseId: { ...courseId, required: true }, ...purchase } }
+};
+
+export const courseParams = {
+    params: { courseId: { ...courseId, required: true } }
+};
+
+// orderAmount is accepted for old clients but ignored: the price always comes from the catalog.
+// Either `items` or a single `courseId` (+ purchaseType) is required (checked by services/checkout.js).
+export const createOrder = {
+    body: {
+        customerId: { label: 'Customer ID', maxLength: 50, pattern: /^[A-Za-z0-9_-]+$/ },
+        customerName: { ...name, required: true },
+        customerPhone: { ...mobile, required: true },
+        customerEmail: { ...email, required: true },
+        customerState: { label: 'State', maxLength: 60 }, // Name or GST state code, for the invoice
+        customerGstin: { label: 'GSTIN', uppercase: true, pattern: GSTIN_PATTERN, message: 'Enter a valid 15 character GSTIN' },
+        orderAmount: { type: 'number' },
+        returnUrl: { label: 'Return URL', required: true, maxLength: 500, pattern: /^https?:\/\/\S+$/, message: 'A valid return URL is required' },
+        courseId,
+        ...purchase,
+        items,
+        centerName: { label: 'Center name', maxLength: 100 },
+        centerCode: { label: 'Center code', maxLength: 20 },
+        couponCode: { label: 'Coupon code', maxLength: 30 }
+    }
+};
+
+export const applyCoupon = {
+    body: {
+        code: { label: 'Coupon code', required: true, maxLength: 30 },
+        courseId,
+        ...purchase,
+        items
+    }
+};
+
+export const verifyPayment = {
+    body: {
+        orderId: { ...orderId, required: true },
+        deviceName
+    }
+};
+
+export const webhookParams = {
+    params: { gateway: { label: 'Gateway', required: true, maxLength: 30 } }
+};
@@ -0,0 +1,14 @@
+import { courseId } from './common.js';
+
+export const progressParams = {
+    params: {
+        courseId: { ...courseId, required: true }
+    }
+};
+
+export const moduleParams = {
+    params: {
+        courseId: { ...courseId, required: true },
+        moduleId: { label: 'Module', type: 'integer', required: true, min: 0 }
+    }
+};
@@ -0,0 +1,16 @@
+import { courseId, day } from './common.js';
+import { REPORT_PERIODS } from '../services/reports.js';
+
+// Shared by every report; `groupBy` and `status` are comma separated lists
+export const reportQuery = {
+    query: {
+        from: { ...day, label: 'From' },
+        to: { ...day, label: 'To' },
+        groupBy: { label: 'Group by', maxLength: 60 },
+        period: { label: 'Period', enum: REPORT_PERIODS },
+        status: { label: 'Status', maxLength: 120 },
+        center: { label: 'Center code', maxLength: 20 },
+        courseId,
+        format: { label: 'Format', enum: ['json', 'csv'], default: 'json' }
+    }
+};
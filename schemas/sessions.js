@@ -0,0 +1,11 @@
+export const refreshSession = {
+    body: {
+        refreshToken: { label: 'Refresh token', required: true, maxLength: 200 }
+    }
+};
+
+export const sessionParams = {
+    params: {
+        sessionId: { label: 'Session', type: 'objectId', required: true }
+    }
+};
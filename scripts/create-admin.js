@@ -0,0 +1,42 @@
+// Create (or reset the password of) an admin account.
+// Usage: npm run create-admin -- <email> <password> [role] [name]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import dbConnect from '../config/dbConnect.js';
+import Admin, { ADMIN_ROLES } from '../models/Admin.js';
+import { hashPassword } from '../utils/password.js';
+
+dotenv.config();
+
+async function main() {
+    const [email, password, role = 'super-admin', name = 'Administrator'] = process.argv.slice(2);
+
+    if (!email || !password) {
+        console.error('Usage: npm run create-admin -- <email> <password> [role] [name]');
+        process.exit(1);
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+        console.error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+    if (role === 'center-admin') {
+        console.error('Create center admins from the admin API so they can be linked to a center.');
+        process.exit(1);
+    }
+
+    await dbConnect();
+    const admin = await Admin.findOneAndUpdate(
+        { email: email.toLowerCase().trim() },
+        { $set: { role, passwordHash: await hashPassword(password), isActive: true }, $setOnInsert: { name } },
+        { upsert: true, new: true }
+    );
+
+    console.log(`✅ Admin ${admin.email} (${admin.role}) is ready`);
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Failed to create admin:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
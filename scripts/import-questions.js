@@ -0,0 +1,36 @@
+// Import questions into the question bank from a JSON or CSV file.
+// Usage: npm run import-questions -- path/to/questions.csv
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import dbConnect from '../config/dbConnect.js';
+import { parseImport, importQuestions } from '../services/questionBank.js';
+
+dotenv.config();
+
+async function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: npm run import-questions -- <file.json|file.csv>');
+        process.exit(1);
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const records = parseImport(format === 'csv' ? content : JSON.parse(content), format);
+
+    await dbConnect();
+    const report = await importQuestions(records);
+
+    console.log(`✅ Imported ${records.length} row(s): ${report.inserted} inserted, ${report.updated} updated, ${report.errors.length} skipped`);
+    report.errors.forEach(e => console.log(`   Row ${e.row}: ${e.message}`));
+    report.moduleCounts.forEach(c => console.log(`   ${c.courseId} now has ${c.moduleCount} module(s)`));
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Import failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,80 @@
+// Run pending data migrations from migrations/, in order.
+// Usage: npm run migrate -- [--dry-run] [--status] [--report=affected.json]
+//   --dry-run   change nothing, list the users each pending migration would change
+//   --status    list every migration and whether it has run
+//   --report    also write the affected users to a JSON file
+import fs from 'fs';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import dbConnect from '../config/dbConnect.js';
+import { getMigrationStatus, runMigrations } from '../services/migrations.js';
+
+dotenv.config();
+
+// Affected users printed per migration; the --report file has all of them
+const MAX_PRINTED = 200;
+
+function parseArgs(argv) {
+    const args = { dryRun: false, status: false, report: null };
+    for (const arg of argv) {
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--status') args.status = true;
+        else if (arg.startsWith('--report=')) args.report = arg.slice('--report='.length);
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    return args;
+}
+
+async function printStatus() {
+    const migrations = await getMigrationStatus();
+    if (migrations.length === 0) console.log('No migrations found');
+    for (const m of migrations) {
+        const finished = m.finishedAt ? ` ${m.finishedAt.toISOString()}, ${m.affectedCount} user(s)` : '';
+        console.log(`${m.status.padEnd(8)} ${m.name}${finished}\n         ${m.description || ''}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    await dbConnect();
+    if (args.status) return printStatus();
+
+    const results = await runMigrations({ dryRun: args.dryRun });
+    if (results.length === 0) {
+        console.log('✅ No pending migrations');
+        return;
+    }
+
+    for (const result of results) {
+        console.log(`\n${result.status} ${result.name}: ${result.description || ''}`);
+        if (result.status === 'LOCKED') {
+            console.error(`❌ ${result.name} is already running. If an earlier run crashed, delete its document from the migrations collection and run again.`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        const verb = args.dryRun ? 'would change' : 'changed';
+        console.log(`   ${result.affectedCount} user(s) ${verb}`);
+        result.affected.slice(0, MAX_PRINTED).forEach(a => console.log(`   ${a.mobile} ${a.name}: ${a.changes.join('; ')}`));
+        if (result.affectedCount > MAX_PRINTED) console.log(`   ... and ${result.affectedCount - MAX_PRINTED} more`);
+
+        if (result.status === 'FAILED') {
+            console.error(`❌ ${result.name} failed: ${result.error}`);
+            process.exitCode = 1;
+        }
+    }
+
+    if (args.report) {
+        fs.writeFileSync(args.report, JSON.stringify({ dryRun: args.dryRun, results }, null, 2));
+        console.log(`\nReport written to ${args.report}`);
+    }
+    if (args.dryRun) console.log('\nDry run: nothing was changed. Later migrations see the data as it is now, not as earlier ones would leave it.');
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
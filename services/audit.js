@@ -0,0 +1,17 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Record an admin action. Never fails the request: a lost audit entry is logged instead.
+export async function recordAudit(admin, action, target, details) {
+    try {
+        await AuditLog.create({
+            admin: admin?._id,
+            adminEmail: admin?.email,
+            action,
+            target: target != null ? String(target) : undefined,
+            details
+        });
+    } catch (err) {
+        console.error(`[Audit] Failed to record ${action} on ${target}:`, err.message);
+    }
+    console.log(`[Admin] ${admin?.email} ${action} ${target ?? ''}`);
+}
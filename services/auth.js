@@ -0,0 +1,56 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getCourseMap, describeCourseEntry } from './catalog.js';
+import { ServiceError } from './errors.js';
+
+// Admin tokens carry this audience so they can never pass as student tokens (and vice versa)
+export const ADMIN_TOKEN_AUDIENCE = 'scsm-admin';
+
+// The paid entry for `courseId` on `user`, for routes that need live access to the course.
+// Throws COURSE_NOT_OWNED, or COURSE_EXPIRED once the access period is over.
+export function requireActiveCourse(user, courseId) {
+    const entry = (user.courses || []).find(c => c.courseId === courseId && c.isPaid);
+    if (!entry) throw new ServiceError(404, 'Course not found or not paid', 'COURSE_NOT_OWNED');
+    if (!(new Date(entry.expiryDate) > new Date())) {
+        throw new ServiceError(403, 'Your access to this course has expired.', 'COURSE_EXPIRED');
+    }
+    return entry;
+}
+
+// Paid, unexpired courses of `user`. Older account shapes (pre-`courses[]` fields, half a
+// bundle) are converted by the data migrations (npm run migrate), never while logging in.
+export function getActiveCourses(user) {
+    const now = new Date();
+    return (user.courses || []).filter(c => c.isPaid && new Date(c.expiryDate) > now);
+}
+
+export function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Find a student by mobile, then compare the email exactly (case-insensitive).
+// Input is never turned into a query operator or a regex.
+export async function findUserByMobileAndEmail(mobile, email) {
+    const user = await User.findOne({ mobile: String(mobile) });
+    return { user, emailMatches: Boolean(user) && normalizeEmail(user.email) === normalizeEmail(email) };
+}
+
+// `user` object returned by login / verify-payment
+export async function toLoginUser(user, courses) {
+    const courseMap = await getCourseMap(courses.map(c => c.courseId));
+    return {
+        name: user.name,
+        mobile: user.mobile,
+        email: user.email,
+        centerName: user.centerName || 'Online Student',
+        courses: courses.map(c => describeCourseEntry(c, courseMap))
+    };
+}
+
+export function issueAdminToken(admin) {
+    return jwt.sign(
+        { adminId: admin._id, role: admin.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '12h', audience: ADMIN_TOKEN_AUDIENCE }
+    );
+}
@@ -0,0 +1,217 @@
+import Course from '../models/Course.js';
+import Question from '../models/Question.js';
+import { ServiceError } from './errors.js';
+
+// Courses that existed as hardcoded branches in create-order before the catalog
+// moved to MongoDB. Seeded on startup only if missing, so edits made in the DB win.
+// fttp/dttp are sold through the combo, so they are not purchasable on their own.
+export const DEFAULT_COURSES = [
+    { courseId: 'fttp', name: 'Soft Skills Practice', subject: 'CSS', price: 0, isActive: false, sortOrder: 10 },
+    { courseId: 'dttp', name: 'Language Skills Practice', subject: 'CLS', price: 0, isActive: false, sortOrder: 20 },
+    {
+        courseId: 'soft-lang-combo', name: 'Soft Skills + Language Skills Practice', price: 199, components: ['fttp', 'dttp'], sortOrder: 1,
+        renewals: [{ days: 20, price: 149 }], attemptPacks: [{ attempts: 10, price: 49 }]
+    },
+    {
+        courseId: 'comm-personality', name: 'Communication & Personality Development', subject: 'PD', price: 49, sortOrder: 2,
+        renewals: [{ days: 20, price: 29 }], attemptPacks: [{ attempts: 10, price: 19 }]
+    }
+];
+
+// Add-on prices came after the catalog, so courses seeded earlier get the defaults once;
+// a course whose add-ons were edited (even emptied) in the DB is left alone
+const ADD_ON_FIELDS = ['renewals', 'attemptPacks'];
+
+export async function seedCourses() {
+    const ops = DEFAULT_COURSES.map(course => ({
+        updateOne: {
+            filter: { courseId: course.courseId },
+            update: { $setOnInsert: course },
+            upsert: true
+        }
+    }));
+    for (const course of DEFAULT_COURSES) {
+        for (const field of ADD_ON_FIELDS) {
+            if (!course[field]) continue;
+            ops.push({
+                updateOne: {
+                    filter: { courseId: course.courseId, [field]: { $exists: false } },
+                    update: { $set: { [field]: course[field] } }
+                }
+            });
+        }
+    }
+    const result = await Course.bulkWrite(ops);
+    return result.upsertedCount;
+}
+
+// Courses with neither `modules` nor a `moduleCount` take their module count from the question
+// bank: the highest module number among the active questions for their subject. Without it no
+// module can be completed in order and no certificate earned. Runs on startup and after every
+// question import; a count set in the DB is never changed.
+// Returns [{ courseId, moduleCount }] for the courses updated.
+export async function fillModuleCounts() {
+    const courses = await Course.find({ subject: { $nin: [null, ''] }, 'modules.0': { $exists: false }, moduleCount: { $in: [0, null] } });
+    if (courses.length === 0) return [];
+
+    const highest = await Question.aggregate([
+        { $match: { subject: { $in: [...new Set(courses.map(c => c.subject))] }, isActive: true, module: { $gt: 0 } } },
+        { $group: { _id: '$subject', moduleCount: { $max: '$module' } } }
+    ]);
+    const countBySubject = new Map(highest.map(h => [h._id, h.moduleCount]));
+
+    const updated = [];
+    for (const course of courses) {
+        const moduleCount = countBySubject.get(course.subject);
+        if (!moduleCount) continue;
+
+        const result = await Course.updateOne({ _id: course._id, moduleCount: { $in: [0, null] } }, { $set: { moduleCount } });
+        if (result.modifiedCount) updated.push({ courseId: course.courseId, moduleCount });
+    }
+    return updated;
+}
+
+export async function findCourse(courseId) {
+    if (!courseId || typeof courseId !== 'string') return null;
+    return Course.findOne({ courseId });
+}
+
+// Map of courseId -> Course for quick lookups when describing a user's courses
+export async function getCourseMap(courseIds) {
+    const courses = await Course.find({ courseId: { $in: [...new Set(courseIds)] } });
+    return new Map(courses.map(c => [c.courseId, c]));
+}
+
+// The courses a purchase of `course` grants: itself, or each component of a bundle
+async function grantedCourses(course) {
+    if (!course.isBundle) return [course];
+
+    const componentMap = await getCourseMap(course.components);
+    const granted = course.components.map(id => componentMap.get(id));
+    if (granted.some(c => !c)) {
+        throw new Error(`Bundle ${course.courseId} references a missing component course`);
+    }
+    return granted;
+}
+
+// Resolve what a purchase of `courseId` grants. Bundles expand to their components;
+// validity always comes from the purchased course, attempts from each granted course.
+// `purchaseType` 'renewal' / 'attempts' resolves the add-on with that many `days` / `attempts`
+// instead (throws ADD_ON_NOT_AVAILABLE if the course doesn't sell it). Add-ons are sold for
+// inactive courses too, since students who own those keep access.
+// Returns null if the course can't be bought.
+export async function resolvePurchase(courseId, { purchaseType = 'course', days, attempts } = {}) {
+    const course = await findCourse(courseId);
+    if (!course || (purchaseType === 'course' && !course.isActive)) return null;
+
+    const granted = await grantedCourses(course);
+    const grants = granted.map(c => ({ id: c.courseId, name: c.name, subject: c.subject, attempts: c.attempts }));
+
+    if (purchaseType !== 'course' && (purchaseType === 'renewal' ? days : attempts) == null) {
+        const field = purchaseType === 'renewal' ? 'days' : 'attempts';
+        const message = purchaseType === 'renewal' ? 'Choose how many days to renew for' : 'Choose how many attempts to add';
+        throw new ServiceError(400, message, 'VALIDATION_FAILED', { fields: [{ field, location: 'body', message }] });
+    }
+
+    if (purchaseType === 'renewal') {
+        const renewal = course.renewals.find(r => r.days === days);
+        if (!renewal) throw new ServiceError(400, `No ${days} day renewal is sold for this course`, 'ADD_ON_NOT_AVAILABLE');
+        return {
+            course,
+            type: 'renewal',
+            name: `${course.name} - ${days} day renewal`,
+            amount: renewal.price,
+            validityDays: renewal.days,
+            grants: grants.map(g => ({ ...g, attempts: 0 }))
+        };
+    }
+
+    if (purchaseType === 'attempts') {
+        const pack = course.attemptPacks.find(p => p.attempts === attempts);
+        if (!pack) throw new ServiceError(400, `No ${attempts} attempt pack is sold for this course`, 'ADD_ON_NOT_AVAILABLE');
+        return {
+            course,
+            type: 'attempts',
+            name: `${course.name} - ${attempts} extra attempts`,
+            amount: pack.price,
+            validityDays: 0,
+            grants: grants.map(g => ({ ...g, attempts: pack.attempts }))
+        };
+    }
+
+    return {
+        course,
+        type: 'course',
+        name: course.name,
+        amount: course.price,
+        validityDays: course.validityDays,
+        grants
+    };
+}
+
+// Add-ons `user` can buy: every course with renewals or attempt packs whose granted courses
+// (a bundle's components) the student has paid for, expired or not. `covers` lists those
+// courses, `expiryDate` / `attemptsLeft` are the lowest among them.
+export async function listAddOns(user) {
+    const owned = new Map((user.courses || []).filter(c => c.isPaid).map(c => [c.courseId, c]));
+    if (owned.size === 0) return [];
+
+    const ownedIds = [...owned.keys()];
+    const courses = await Course.find({ $or: [{ courseId: { $in: ownedIds } }, { components: { $in: ownedIds } }] })
+        .sort({ sortOrder: 1, price: 1 });
+
+    return courses
+        .filter(course => course.renewals.length > 0 || course.attemptPacks.length > 0)
+        .map(course => ({ course, covers: course.isBundle ? course.components : [course.courseId] }))
+        .filter(({ covers }) => covers.every(id => owned.has(id)))
+        .map(({ course, covers }) => {
+            const entries = covers.map(id => owned.get(id));
+            return {
+                courseId: course.courseId,
+                name: course.name,
+                covers,
+                expiryDate: new Date(Math.min(...entries.map(e => e.expiryDate ? e.expiryDate.getTime() : 0))),
+                attemptsLeft: Math.min(...entries.map(e => e.attemptsLeft || 0)),
+                renewals: course.renewals.map(r => ({ days: r.days, price: r.price })),
+                attemptPacks: course.attemptPacks.map(p => ({ attempts: p.attempts, price: p.price }))
+            };
+        });
+}
+
+// Courses that are sold together with `courseId` (its bundle partners)
+export async function findBundlePartners(courseId) {
+    const bundles = await Course.find({ components: courseId });
+    const partnerIds = new Set();
+    bundles.forEach(b => b.components.forEach(id => {
+        if (id !== courseId) partnerIds.add(id);
+    }));
+    if (partnerIds.size === 0) return [];
+    return Course.find({ courseId: { $in: [...partnerIds] } });
+}
+
+// Shape a User.courses[] entry for API responses, preferring current catalog names
+export function describeCourseEntry(entry, courseMap) {
+    const course = courseMap.get(entry.courseId);
+    return {
+        courseId: entry.courseId,
+        courseName: course ? course.name : entry.courseName,
+        selectedSubject: (course && course.subject) || entry.subject || entry.selectedSubject || 'CSS',
+        attemptsLeft: entry.attemptsLeft,
+        modulesCompleted: entry.modulesCompleted || []
+    };
+}
+
+export function toPublicCourse(course) {
+    return {
+        courseId: course.courseId,
+        name: course.name,
+        subject: course.subject,
+        price: course.price,
+        validityDays: course.validityDays,
+        attempts: course.attempts,
+        components: course.components,
+        isBundle: course.isBundle,
+        renewals: course.renewals.map(r => ({ days: r.days, price: r.price })),
+        attemptPacks: course.attemptPacks.map(p => ({ attempts: p.attempts, price: p.price }))
+    };
+}
@@ -0,0 +1,24 @@
+import Center from '../models/Center.js';
+
+export function normalizeCenterCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+export async function findActiveCenter(code) {
+    const normalized = normalizeCenterCode(code);
+    if (!normalized) return null;
+    return Center.findOne({ code: normalized, isActive: true });
+}
+
+export function toPublicCenter(center) {
+    return {
+        _id: center._id,
+        code: center.code,
+        name: center.name,
+        contact: center.contact,
+        address: center.address,
+        state: center.state,
+        revenueSharePercent: center.revenueSharePercent,
+        isActive: center.isActive
+    };
+}
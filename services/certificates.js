@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import Certificate from '../models/Certificate.js';
+import { getCourseModules } from './progress.js';
+
+// No 0/O/1/I so numbers read back over the phone are unambiguous
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCertificateId() {
+    const pick = () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)];
+    const block = () => Array.from({ length: 4 }, pick).join('');
+    return `SCSM-${new Date().getFullYear()}-${block()}-${block()}`;
+}
+
+// A course is complete once the student has finished every one of its modules
+export function isCourseComplete(course, courseEntry) {
+    if (!course || !courseEntry || !courseEntry.isPaid) return false;
+    const modules = getCourseModules(course);
+    if (modules.length === 0) return false;
+
+    const completed = new Set(courseEntry.modulesCompleted || []);
+    return modules.every(m => completed.has(m.moduleId));
+}
+
+// Issue (or return the already issued) certificate for a completed course
+export async function issueCertificate(user, course) {
+    const existing = await Certificate.findOne({ user: user._id, courseId: course.courseId });
+    if (existing) return existing;
+
+    for (let tries = 0; tries < 5; tries++) {
+        try {
+            return await Certificate.create({
+                certificateId: generateCertificateId(),
+                user: user._id,
+                courseId: course.courseId,
+                studentName: user.name,
+                centerName: user.centerName || 'Online Student',
+                courseName: course.name
+            });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            // Either a concurrent request issued it first, or the random id collided
+            const issued = await Certificate.findOne({ user: user._id, courseId: course.courseId });
+            if (issued) return issued;
+        }
+    }
+    throw new Error('Could not allocate a unique certificate number');
+}
+
+export function toPublicCertificate(certificate) {
+    return {
+        certificateId: certificate.certificateId,
+        courseId: certificate.courseId,
+        courseName: certificate.courseName,
+        studentName: certificate.studentName,
+        centerName: certificate.centerName,
+        issuedAt: certificate.issuedAt,
+        valid: !certificate.revokedAt
+    };
+}
+
+// Stream a landscape A4 certificate into `stream` (e.g. the Express response)
+export function renderCertificatePdf(certificate, stream, { verifyUrl } = {}) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    doc.pipe(stream);
+
+    const { width, height } = doc.page;
+    const issuedOn = new Date(certificate.issuedAt).toLocaleDateString('en-IN', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata'
+    });
+
+    doc.lineWidth(4).strokeColor('#4c51bf').rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke();
+
+    doc.moveDown(2);
+    doc.fillColor('#4c51bf').font('Helvetica-Bold').fontSize(36).text('Certificate of Completion', { align: 'center' });
+    doc.moveDown(1.5);
+    doc.fillColor('#333333').font('Helvetica').fontSize(16).text('This is to certify that', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(28).text(certificate.studentName, { align: 'center' });
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(14).text(certificate.centerName || 'Online Student', { align: 'center' });
+    doc.moveDown(1);
+    doc.fontSize(16).text('has successfully completed the course', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(22).text(certificate.courseName, { align: 'center' });
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(12).text(`Issued on ${issuedOn}`, { align: 'center' });
+
+    doc.fontSize(10).fillColor('#666666');
+    doc.text(`Certificate No: ${certificate.certificateId}`, 60, height - 90, { align: 'left' });
+    if (verifyUrl) {
+        doc.text(`Verify at: ${verifyUrl}`, 60, height - 75, { align: 'left' });
+    }
+
+    doc.end();
+}
@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { getGateway } from './gateways/index.js';
+import { fulfilOrder, failOrder } from './fulfilment.js';
+import { buildOrderItem, createOrderRecord, updateOrderStatus, toPublicOrderLine } from './orders.js';
+import { resolvePurchase } from './catalog.js';
+import { findActiveCenter } from './centers.js';
+import { quoteCoupon, reserveCouponUse, cancelCouponUse, releaseCouponUse } from './coupons.js';
+import { toLoginUser, findUserByMobileAndEmail } from './auth.js';
+import { startSession, describeClient } from './sessions.js';
+import { recordSecurityEvent } from './security.js';
+import { publishEvent } from './liveEvents.js';
+import { ServiceError } from './errors.js';
+import { resolveGstState } from '../utils/gstStates.js';
+
+// Checkout flow shared by the Express routes (routes/checkout.js) and the serverless
+// functions in api/. `req` is only used to describe the client (IP, device) in sessions
+// and security events.
+
+// Add-ons are only sold to students who paid for every course they apply to. A renewal may
+// revive an expired course; more attempts are only useful while the course is active.
+function assertCanBuyAddOn(purchase, courseIds, { paid, active }) {
+    for (const id of courseIds) {
+        if (!paid.has(id)) throw new ServiceError(404, 'Course not found or not paid', 'COURSE_NOT_OWNED', { courseId: id });
+        if (purchase.type === 'attempts' && !active.has(id)) {
+            throw new ServiceError(403, 'Your access to this course has expired. Renew it before buying more attempts.', 'COURSE_EXPIRED', { courseId: id });
+        }
+    }
+}
+
+// The cart of a schemas.createOrder / applyCoupon body: `items`, or a single `courseId` from older clients
+export function cartLines({ items, courseId, purchaseType, days, attempts }) {
+    if (items) return items;
+    if (courseId) return [{ courseId, purchaseType, days, attempts }];
+    throw new ServiceError(400, 'Course is required', 'VALIDATION_FAILED', { fields: [{ field: 'courseId', location: 'body', message: 'Course is required' }] });
+}
+
+// A student checking out again with a coupon gives up their earlier unpaid orders with it, so
+// an abandoned payment page doesn't hold their use. A late payment on one is still fulfilled.
+async function expireOpenCouponOrders(code, mobile) {
+    const open = await Order.find({ 'coupon.code': code, 'customer.mobile': mobile, status: { $in: ['CREATED', 'PENDING'] } }, 'orderId');
+    for (const { orderId } of open) {
+        const order = await updateOrderStatus(orderId, 'EXPIRED', { from: ['CREATED', 'PENDING'], note: 'Replaced by a new checkout with the same coupon' });
+        await releaseCouponUse(order);
+    }
+}
+
+// Price each cart line from the catalog for `user` (null for a new student).
+// A course line is skipped when every course it grants is already active for the student, or
+// comes with an earlier line; add-ons need their courses owned, or bought by an earlier line.
+// A bundle with only some of its courses active is refused (BUNDLE_PARTLY_OWNED): it would be
+// charged in full and reset the active courses' validity and attempts.
+// Returns { purchases, lines, amount }: the purchases to order, a result for every requested
+// line ({ courseId, purchaseType, name, price, courses, status: 'ADDED' | 'SKIPPED', reason? })
+// and the total price. Throws ALREADY_OWNED if every line is skipped.
+export async function priceCart(requested, user) {
+    const now = new Date();
+    const owned = { paid: new Set(), active: new Set() };
+    for (const entry of user?.courses || []) {
+        if (!entry.isPaid) continue;
+        owned.paid.add(entry.courseId);
+        if (new Date(entry.expiryDate) > now) owned.active.add(entry.courseId);
+    }
+
+    const purchases = [];
+    const lines = [];
+    for (const line of requested) {
+        const purchase = await resolvePurchase(line.courseId, line);
+        if (!purchase) throw new ServiceError(400, "Invalid or unavailable course", 'COURSE_NOT_FOUND', { courseId: line.courseId });
+
+        const courseIds = purchase.grants.map(g => g.id);
+        const result = { courseId: line.courseId, purchaseType: purchase.type, name: purchase.name, price: purchase.amount, courses: courseIds };
+
+        if (purchase.type === 'course') {
+            const active = courseIds.filter(id => owned.active.has(id));
+            if (active.length === courseIds.length) {
+                lines.push({ ...result, status: 'SKIPPED', reason: 'ALREADY_OWNED' });
+                continue;
+            }
+            if (active.length > 0) {
+                const missing = purchase.grants.filter(g => !owned.active.has(g.id));
+                const names = (grants) => grants.map(g => g.name).join(', ');
+                throw new ServiceError(409, `You already have ${names(purchase.grants.filter(g => owned.active.has(g.id)))} from ${purchase.name}. Buy ${names(missing)} on its own instead.`, 'BUNDLE_PARTLY_OWNED', {
+                    courseId: line.courseId,
+                    owned: active,
+                    missing: missing.map(g => g.id)
+                });
+            }
+            courseIds.forEach(id => {
+                owned.paid.add(id);
+                owned.active.add(id);
+            });
+        } else {
+            assertCanBuyAddOn(purchase, courseIds, owned);
+        }
+
+        purchases.push(purchase);
+        lines.push({ ...result, status: 'ADDED' });
+    }
+
+    if (purchases.length === 0) {
+        throw new ServiceError(409, 'You already have access to every course in this order', 'ALREADY_OWNED', { lines });
+    }
+    return { purchases, lines, amount: purchases.reduce((sum, p) => sum + p.amount, 0) };
+}
+
+// Create the student (first purchase) and one pending order for the whole cart, and open it on
+// the payment gateway. `input` is a validated schemas.createOrder body: a cart of `items`, each a
+// course or an add-on (`purchaseType` 'renewal' / 'attempts') for a course the student owns, or
+// a single `courseId`.
+// Returns { orderId, gateway, checkout, lines }, where `checkout` is what the frontend needs to
+// pay and `lines` has the result for each requested line (see priceCart).
+export async function createCheckout(input, req) {
+    const { customerId, customerName, customerPhone, customerEmail, customerState, customerGstin, returnUrl, centerName, centerCode, couponCode } = input;
+    const requested = cartLines(input);
+    const requestedIds = requested.map(line => line.courseId);
+
+    // Optional, printed on the GST invoice
+    const state = customerState ? resolveGstState(customerState) : null;
+    if (customerState && !state) {
+        throw new ServiceError(400, 'Unknown state', 'VALIDATION_FAILED', { fields: [{ field: 'customerState', location: 'body', message: 'Unknown state' }] });
+    }
+
+    // Find existing user by Mobile, then check the Email exactly (Strict Match for Security)
+    let { user, emailMatches } = await findUserByMobileAndEmail(customerPhone, customerEmail);
+
+    if (user && !emailMatches) {
+        await recordSecurityEvent('order.email-mismatch', { req, mobile: customerPhone, user, details: { email: customerEmail, courseIds: requestedIds } });
+        throw new ServiceError(409, "This mobile number is registered with a different email.", 'EMAIL_MISMATCH');
+    }
+
+    // ENFORCE SERVER-SIDE PRICING (client orderAmount is ignored)
+    const { purchases, lines, amount } = await priceCart(requested, user);
+    const courseIds = purchases.map(p => p.course.courseId);
+
+    // Coupon / referral discount is recomputed here, never taken from the client
+    const quote = couponCode
+        ? await quoteCoupon({ code: couponCode, mobile: customerPhone, lines: purchases.map(p => ({ courseId: p.course.courseId, amount: p.amount })) })
+        : null;
+    const finalAmount = quote ? quote.finalAmount : amount;
+
+    console.log(`[CreateOrder] Request received for ${customerPhone} - Courses: ${lines.map(l => `${l.courseId} (${l.purchaseType}${l.status === 'SKIPPED' ? ', skipped' : ''})`).join(', ')} - Amount: ${finalAmount}`);
+
+    const gateway = getGateway();
+    if (!gateway.isConfigured()) {
+        console.error(`[CreateOrder] Payment gateway ${gateway.name} is not configured`);
+        throw new ServiceError(503, 'Payment gateway not configured', 'GATEWAY_NOT_CONFIGURED');
+    }
+
+    // Enrollment through a center (franchise) code
+    let center = null;
+    if (centerCode) {
+        center = await findActiveCenter(centerCode);
+        if (!center) throw new ServiceError(400, "Invalid center code", 'INVALID_CENTER_CODE');
+    }
+
+    // verify-payment logs the student in with only this id, so it must not be guessable.
+    // 36 characters: within Razorpay's 40 character receipt.
+    const orderId = "ORDER_" + Date.now() + "_" + crypto.randomBytes(12).toString('base64url');
+
+    // Database Operations
+    // Only the student profile is saved here; courses are granted from the order once it is paid
+    console.log(`[CreateOrder] Saving user to database...`);
+
+    if (!user) {
+        // New User: Create fresh record
+        console.log(`[CreateOrder] Creating NEW user record for ${customerPhone}`);
+        user = await User.create({
+            name: customerName,
+            email: customerEmail,
+            mobile: customerPhone,
+            center: center?._id,
+            centerName: center ? center.name : (centerName || 'Online Student'),
+            courses: []
+        });
+    } else {
+        // Existing User: Check Name Match for Safety
+        const inputName = customerName.toLowerCase().trim();
+        const dbName = user.name.toLowerCase().trim();
+
+        // Allow partial match (e.g. "Rahul Kumar" vs "Rahul K") or exact match
+        if (!dbName.includes(inputName) && !inputName.includes(dbName)) {
+            // Same phone and email but a different name: most likely a typo or a changed name,
+            // so the order goes ahead, but it's recorded for support to review.
+            await recordSecurityEvent('order.name-mismatch', { req, mobile: customerPhone, user, details: { name: customerName, courseIds } });
+        }
+
+        console.log(`[CreateOrder] Existing User Found (${user._id}). Creating order for new course...`);
+
+        // First center enrollment links the student to the center; an existing link is kept
+        if (center && !user.center) {
+            user.center = center._id;
+            user.centerName = center.name;
+            await user.save();
+        }
+    }
+
+    // The order holds one use of its coupon until it is paid, fails or expires
+    if (quote) {
+        await expireOpenCouponOrders(quote.coupon.code, customerPhone);
+        await reserveCouponUse(quote.coupon, customerPhone);
+    }
+
+    // Gateways need a customer id; older clients always sent one
+    const customer = { customerId: customerId || `CUST_${customerPhone.replace(/\D/g, '')}`, name: customerName, email: customerEmail, mobile: customerPhone };
+    try {
+        await createOrderRecord({
+            orderId,
+            user,
+            center: center || (user.center ? { _id: user.center } : null),
+            customer: { ...customer, state: state?.name, gstin: customerGstin },
+            items: purchases.map(buildOrderItem),
+            amount: finalAmount,
+            quote,
+            gateway: gateway.name
+        });
+    } catch (err) {
+        if (quote) await cancelCouponUse(quote.coupon, customerPhone);
+        throw err;
+    }
+
+    // Payment Gateway Integration
+    let gatewayOrder;
+    try {
+        gatewayOrder = await gateway.createOrder({
+            orderId,
+            amount: finalAmount,
+            currency: 'INR',
+            customer,
+            returnUrl: returnUrl.replace('{order_id}', orderId)
+        });
+    } catch (gatewayError) {
+        // Gateway responses are kept on the order for support, never sent to the client
+        console.error("Create Order Error:", gatewayError.response?.data || gatewayError.message);
+        await failOrder(orderId, { note: 'Gateway order creation failed', gatewayResponse: gatewayError.response?.data });
+        throw new ServiceError(502, "Payment Initialization Failed", 'PAYMENT_INIT_FAILED');
+    }
+
+    await updateOrderStatus(orderId, 'PENDING', {
+        from: ['CREATED'],
+        set: { gatewayOrderId: gatewayOrder.gatewayOrderId, gatewayResponse: gatewayOrder.raw }
+    });
+
+    // Live feed for staff dashboards (GET /api/admin/events)
+    publishEvent('order.created', {
+        orderId,
+        name: customerName,
+        mobile: customerPhone,
+        courseIds,
+        amount: finalAmount,
+        couponCode: quote?.coupon.code,
+        gateway: gateway.name
+    }, { center: center?._id || user.center });
+
+    return { orderId, gateway: gateway.name, checkout: gatewayOrder.checkout, lines };
+}
+
+// Confirm an order with its gateway and, once paid, grant its courses. The first confirmation
+// of a paid order also logs the student in on this device; later ones only report the order.
+// Safe to repeat: the webhook may already have granted everything.
+// Returns { status: 'PAID', lines } with the order's `lines`, plus { accessToken, refreshToken,
+// ..., user } like a login for the call that logged the student in.
+export async function confirmPayment(orderId, req) {
+    // Ask the gateway the order was placed with (orders from before the ledger are Cashfree)
+    const order = await Order.findOne({ orderId });
+    const gatewayOrder = await getGateway(order?.gateway || 'cashfree').fetchOrder(order || { orderId });
+
+    if (gatewayOrder?.status === 'PAID') {
+        // Grant every course on the order (idempotent, the webhook may have done it already)
+        // Important for the Combo Pack (2 courses, same Order ID)
+        const fulfilled = await fulfilOrder(orderId, { note: 'verify-payment', gatewayResponse: gatewayOrder.raw });
+        const { user } = fulfilled;
+
+        if (user) {
+            // What each line of the order did (legacy orders have no lines)
+            const lines = fulfilled.order ? fulfilled.order.items.map(toPublicOrderLine) : [];
+            const result = { status: 'PAID', lines };
+
+            // Log the student in on this device, once per order. Legacy orders have nowhere to
+            // record it, so their students log in with an OTP.
+            const claimed = await Order.findOneAndUpdate(
+                { orderId, loginIssuedAt: { $exists: false } },
+                { $set: { loginIssuedAt: new Date() } }
+            );
+            if (!claimed) return result;
+
+            let session;
+            try {
+                session = await startSession(user, describeClient(req));
+            } catch (err) {
+                await Order.updateOne({ orderId }, { $unset: { loginIssuedAt: 1 } });
+                throw err;
+            }
+
+            // Return ALL paid courses
+            const paidCourses = user.courses.filter(c => c.isPaid && new Date() < new Date(c.expiryDate));
+            return { ...result, ...session, user: await toLoginUser(user, paidCourses) };
+        }
+    }
+    throw new ServiceError(400, "Payment Not Paid", 'PAYMENT_NOT_PAID');
+}
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import Coupon from '../models/Coupon.js';
+import CouponUse from '../models/CouponUse.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { ServiceError } from './errors.js';
+
+// Cashfree rejects orders below ₹1, so a coupon can never take the amount under this
+const MIN_ORDER_AMOUNT = 1;
+
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function normalizeCouponCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Referral codes can be used once per student unless an admin set a cap
+function perMobileLimit(coupon) {
+    return coupon.maxUsesPerMobile ?? (coupon.referrer?.user ? 1 : null);
+}
+
+export function computeDiscount(coupon, amount) {
+    let discount = coupon.discountType === 'percent'
+        ? (amount * coupon.discountValue) / 100
+        : coupon.discountValue;
+
+    if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+    discount = Math.min(discount, amount - MIN_ORDER_AMOUNT);
+    return roundMoney(Math.max(discount, 0));
+}
+
+// Price `amount` for `courseId` with coupon `code` for the student with `mobile`. A cart passes
+// `lines` ([{ courseId, amount }]) instead; a coupon limited to some courses only discounts those lines.
+// Throws ServiceError(400) explaining why a code can't be used.
+export async function quoteCoupon({ code, courseId, mobile, amount, lines = [{ courseId, amount }] }) {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+    if (!coupon || !coupon.isActive) throw new ServiceError(400, 'Invalid coupon code', 'COUPON_INVALID');
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) throw new ServiceError(400, 'This coupon is not active yet', 'COUPON_NOT_STARTED');
+    if (coupon.validUntil && now > coupon.validUntil) throw new ServiceError(400, 'This coupon has expired', 'COUPON_EXPIRED');
+
+    const eligible = coupon.courses.length > 0 ? lines.filter(line => coupon.courses.includes(line.courseId)) : lines;
+    if (eligible.length === 0) {
+        throw new ServiceError(400, 'This coupon is not valid for the selected course(s)', 'COUPON_NOT_APPLICABLE');
+    }
+
+    if (coupon.maxUses != null && coupon.usedCount + (coupon.reservedCount || 0) >= coupon.maxUses) {
+        throw new ServiceError(400, 'This coupon has reached its usage limit', 'COUPON_LIMIT_REACHED');
+    }
+
+    if (mobile) {
+        if (coupon.referrer?.user) {
+            const owner = await User.findById(coupon.referrer.user, 'mobile');
+            if (owner && owner.mobile === String(mobile)) {
+                throw new ServiceError(400, 'You cannot use your own referral code', 'COUPON_OWN_REFERRAL');
+            }
+        }
+
+        const limit = perMobileLimit(coupon);
+        if (limit != null) {
+            const usedByMobile = await Order.countDocuments({
+                'coupon.code': coupon.code,
+                'customer.mobile': String(mobile),
+                status: 'PAID'
+            });
+            if (usedByMobile >= limit) {
+                throw new ServiceError(400, 'You have already used this coupon', 'COUPON_ALREADY_USED');
+            }
+        }
+    }
+
+    const total = lines.reduce((sum, line) => sum + line.amount, 0);
+    const discount = computeDiscount(coupon, eligible.reduce((sum, line) => sum + line.amount, 0));
+    return {
+        coupon,
+        originalAmount: total,
+        discount,
+        finalAmount: roundMoney(total - discount)
+    };
+}
+
+// Take one use of `coupon` for the student with `mobile` while their order is open. Both caps
+// are checked and taken in single updates, so concurrent checkouts can't go past them.
+// Throws ServiceError(400) COUPON_ALREADY_USED / COUPON_LIMIT_REACHED when a cap is full.
+export async function reserveCouponUse(coupon, mobile) {
+    const limit = perMobileLimit(coupon);
+    if (limit != null) await takeMobileUse(coupon.code, String(mobile), limit);
+
+    const taken = await Coupon.findOneAndUpdate(
+        {
+            code: coupon.code,
+            $or: [
+                { maxUses: null },
+                { $expr: { $lt: [{ $add: ['$usedCount', { $ifNull: ['$reservedCount', 0] }] }, '$maxUses'] } }
+            ]
+        },
+        { $inc: { reservedCount: 1 } }
+    );
+    if (!taken) {
+        if (limit != null) await returnMobileUse(coupon.code, String(mobile));
+        throw new ServiceError(400, 'This coupon has reached its usage limit', 'COUPON_LIMIT_REACHED');
+    }
+}
+
+// Per-mobile uses are counted in CouponUse; the first use by a mobile starts from its paid orders
+async function takeMobileUse(code, mobile, limit) {
+    const key = { code, mobile };
+    if (!await CouponUse.exists(key)) {
+        const paid = await Order.countDocuments({ 'coupon.code': code, 'customer.mobile': mobile, status: 'PAID' });
+        try {
+            await CouponUse.updateOne(key, { $setOnInsert: { count: paid } }, { upsert: true });
+        } catch (err) {
+            if (err.code !== 11000) throw err; // A concurrent checkout created it first
+        }
+    }
+
+    const taken = await CouponUse.findOneAndUpdate({ ...key, count: { $lt: limit } }, { $inc: { count: 1 } });
+    if (!taken) throw new ServiceError(400, 'You have already used this coupon', 'COUPON_ALREADY_USED');
+}
+
+async function returnMobileUse(code, mobile) {
+    await CouponUse.updateOne({ code, mobile, count: { $gt: 0 } }, { $inc: { count: -1 } });
+}
+
+// Give back the use held by an order that couldn't be created
+export async function cancelCouponUse(coupon, mobile) {
+    await Coupon.updateOne({ code: coupon.code, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+    await returnMobileUse(coupon.code, String(mobile));
+}
+
+// Give back the use held by an order that failed or expired. Only the first call for an order
+// releases anything.
+export async function releaseCouponUse(order) {
+    if (!order?.coupon?.code) return;
+    const released = await Order.findOneAndUpdate(
+        { orderId: order.orderId, 'coupon.state': 'RESERVED' },
+        { $set: { 'coupon.state': 'RELEASED' } }
+    );
+    if (released) await cancelCouponUse(released.coupon, released.customer.mobile);
+}
+
+// Count a coupon use once its order is paid: the order's reservation becomes the use. A late
+// payment on an order whose reservation was released takes a new use, even past the caps, as
+// the student has already paid the discounted price. Only the first call for an order counts.
+export async function recordCouponUse(order) {
+    if (!order.coupon?.code) return;
+    const before = await Order.findOneAndUpdate(
+        { orderId: order.orderId, 'coupon.state': { $ne: 'USED' } },
+        { $set: { 'coupon.state': 'USED' } },
+        { new: false }
+    );
+    if (!before) return;
+
+    const wasReserved = before.coupon.state === 'RESERVED';
+    await Coupon.updateOne({ code: order.coupon.code }, { $inc: wasReserved ? { usedCount: 1, reservedCount: -1 } : { usedCount: 1 } });
+    if (before.coupon.state === 'RELEASED') {
+        await CouponUse.updateOne({ code: order.coupon.code, mobile: before.customer.mobile }, { $inc: { count: 1 } });
+    }
+}
+
+// A student's personal referral code, created on first request.
+// Referral discount is REFERRAL_DISCOUNT_PERCENT (default 10%).
+export async function getOrCreateReferralCoupon(user) {
+    const existing = await Coupon.findOne({ 'referrer.user': user._id });
+    if (existing) return existing;
+
+    const percent = Number(process.env.REFERRAL_DISCOUNT_PERCENT || 10);
+    for (let tries = 0; tries < 5; tries++) {
+        const suffix = Array.from({ length: 6 }, () => REFERRAL_ALPHABET[crypto.randomInt(REFERRAL_ALPHABET.length)]).join('');
+        try {
+            return await Coupon.create({
+                code: `REF${suffix}`,
+                description: `Referral from ${user.name}`,
+                discountType: 'percent',
+                discountValue: percent,
+                maxUsesPerMobile: 1,
+                referrer: { user: user._id }
+            });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+    }
+    throw new Error('Could not allocate a unique referral code');
+}
+
+export function toPublicCoupon(coupon) {
+    return {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        maxDiscount: coupon.maxDiscount,
+        courses: coupon.courses,
+        validFrom: coupon.validFrom,
+        validUntil: coupon.validUntil
+    };
+}
@@ -0,0 +1,93 @@
+// Email templates. Each takes the data passed to queueEmail and returns { subject, text, html }.
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+function formatMoney(amount) {
+    return `₹${Number(amount || 0).toFixed(2)}`;
+}
+
+function siteUrl() {
+    return (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+}
+
+// Plain text paragraphs, rendered to HTML with the same wording
+function render(subject, name, paragraphs, table) {
+    const greeting = `Hi ${name || 'there'},`;
+    const sign = 'Team SCSM';
+
+    const textTable = table ? table.map(([label, value]) => `${label}: ${value}`).join('\n') : '';
+    const text = [greeting, ...paragraphs, textTable, sign].filter(Boolean).join('\n\n');
+
+    const htmlTable = table
+        ? `<table style="border-collapse: collapse;">${table.map(([label, value]) =>
+            `<tr><td style="padding: 4px 12px 4px 0; color: #555;">${escapeHtml(label)}</td><td style="padding: 4px 0;"><b>${escapeHtml(value)}</b></td></tr>`).join('')}</table>`
+        : '';
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 560px; color: #222;">
+            <p>${escapeHtml(greeting)}</p>
+            ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n            ')}
+            ${htmlTable}
+            <p>${sign}</p>
+        </div>`;
+
+    return { subject, text, html };
+}
+
+// { name, orderId, paidAt, items: [{ courseName, price }], subtotal, discount, couponCode, amount, expiryDate }
+function receipt({ name, orderId, paidAt, items = [], subtotal, discount, couponCode, amount }) {
+    const table = [
+        ['Order', orderId],
+        ['Date', formatDate(paidAt || new Date())],
+        ...items.map(item => [item.courseName || item.courseId, formatMoney(item.price)])
+    ];
+    if (discount > 0) {
+        table.push(['Subtotal', formatMoney(subtotal)]);
+        table.push([couponCode ? `Discount (${couponCode})` : 'Discount', `-${formatMoney(discount)}`]);
+    }
+    table.push(['Total paid', formatMoney(amount)]);
+
+    return render(`Payment received for order ${orderId}`, name, [
+        'Thank you for your purchase. Your payment was successful and your course access is active.'
+    ], table);
+}
+
+// { name, mobile, courses: [{ courseName, expiryDate, attemptsLeft }] }
+function welcome({ name, mobile, courses = [] }) {
+    const site = siteUrl();
+    return render('Welcome to SCSM', name, [
+        'Your account is ready.',
+        `To login, open ${site || 'the SCSM website'}, choose "Login with OTP" and enter your registered mobile number (${mobile}). We'll send you a one-time password; no separate password is needed.`,
+        'You can be logged in on a limited number of devices at a time. Logging in on a new device may log out the oldest one.'
+    ], courses.map(c => [c.courseName || c.courseId, `valid until ${formatDate(c.expiryDate)}, ${c.attemptsLeft} exam attempt(s)`]));
+}
+
+// { name, courseName, attemptsLeft, expiryDate }
+function attemptsLow({ name, courseName, attemptsLeft, expiryDate }) {
+    return render(`Only ${attemptsLeft} exam attempt(s) left for ${courseName}`, name, [
+        `You have ${attemptsLeft} exam attempt(s) left for ${courseName}.`,
+        `Your access is valid until ${formatDate(expiryDate)}. Make the most of your remaining attempts by completing the course modules first.`
+    ]);
+}
+
+// { name, courseName, expiryDate, attemptsLeft }
+function expiringSoon({ name, courseName, expiryDate, attemptsLeft }) {
+    return render(`Your access to ${courseName} ends on ${formatDate(expiryDate)}`, name, [
+        `Your access to ${courseName} ends on ${formatDate(expiryDate)}.`,
+        attemptsLeft > 0 ? `You still have ${attemptsLeft} exam attempt(s) left. Use them before your access ends.` : null,
+        `Visit ${siteUrl() || 'the SCSM website'} to continue learning.`
+    ].filter(Boolean));
+}
+
+export const templates = { receipt, welcome, attemptsLow, expiringSoon };
+
+export function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) throw new Error(`Unknown email template "${name}"`);
+    return template(data || {});
+}
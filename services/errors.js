@@ -0,0 +1,31 @@
+// Default machine-readable code for each HTTP status, used when a ServiceError
+// (or a legacy `{ message }` response) doesn't name a more specific one.
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    502: 'GATEWAY_ERROR'
+};
+
+export function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Expected failure that should reach the client as `status` + `message` + `code`
+// (as opposed to bugs/outages, which the error handler reports as a generic 500).
+// `code` is stable (e.g. COURSE_EXPIRED) so clients can branch on it; `details` is
+// optional extra data for the client, such as per-field validation errors.
+export class ServiceError extends Error {
+    constructor(status, message, code, details) {
+        super(message);
+        this.name = 'ServiceError';
+        this.status = status;
+        this.code = code || codeForStatus(status);
+        if (details !== undefined) this.details = details;
+    }
+}
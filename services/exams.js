@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import User from '../models/User.js';
+import { ServiceError } from './errors.js';
+import { findCourse } from './catalog.js';
+import { requireActiveCourse } from './auth.js';
+import { notifyAttemptsUsed } from './notifications.js';
+import { publishEvent } from './liveEvents.js';
+
+// Submissions arriving this long after the time limit are still accepted (network latency)
+const SUBMIT_GRACE_MS = 60 * 1000;
+
+const DEFAULT_EXAM = { durationMinutes: 30, questionCount: 25 };
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Split `total` questions across difficulties by weight, e.g. { easy: 40, medium: 40, hard: 20 }
+function splitByDifficulty(total, mix) {
+    const entries = Object.entries(mix || {}).filter(([, weight]) => weight > 0);
+    const weightSum = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (!weightSum) return [];
+
+    const quotas = entries.map(([difficulty, weight]) => [difficulty, Math.floor((total * weight) / weightSum)]);
+    // Hand out the rounding remainder to the heaviest buckets first
+    let remainder = total - quotas.reduce((sum, [, n]) => sum + n, 0);
+    [...quotas].sort((a, b) => mix[b[0]] - mix[a[0]]).forEach(q => {
+        if (remainder > 0) { q[1] += 1; remainder -= 1; }
+    });
+    return quotas;
+}
+
+async function sampleQuestions(match, size) {
+    if (size <= 0) return [];
+    return Question.aggregate([{ $match: match }, { $sample: { size } }]);
+}
+
+// Draw a random paper for `subject`. Honours the difficulty mix where the bank allows
+// and tops up from any difficulty when a bucket runs short.
+export async function generatePaper({ subject, questionCount, difficultyMix, modules }) {
+    const match = { subject, isActive: true };
+    if (modules && modules.length > 0) match.module = { $in: modules };
+
+    const picked = [];
+    for (const [difficulty, quota] of splitByDifficulty(questionCount, difficultyMix)) {
+        picked.push(...await sampleQuestions({ ...match, difficulty }, quota));
+    }
+
+    const shortfall = questionCount - picked.length;
+    if (shortfall > 0) {
+        picked.push(...await sampleQuestions({ ...match, _id: { $nin: picked.map(q => q._id) } }, shortfall));
+    }
+
+    // Shuffle question order and each question's options; the answer index follows its option
+    return shuffle(picked).map(q => {
+        const optionOrder = shuffle(q.options.map((_, i) => i));
+        return {
+            _id: q._id,
+            prompt: q.prompt,
+            options: optionOrder.map(i => q.options[i]),
+            answer: optionOrder.indexOf(q.answer),
+            marks: q.marks,
+            module: q.module,
+            difficulty: q.difficulty
+        };
+    });
+}
+
+// The exam settings for a course and a fresh paper for them.
+// Throws EXAM_UNAVAILABLE when the question bank has nothing for the course.
+async function preparePaper(course, courseEntry) {
+    const subject = courseEntry.subject || course?.subject;
+    const exam = { ...DEFAULT_EXAM, ...(course?.exam?.toObject ? course.exam.toObject() : course?.exam) };
+
+    const paper = await generatePaper({
+        subject,
+        questionCount: exam.questionCount,
+        difficultyMix: exam.difficultyMix,
+        modules: exam.modules
+    });
+    if (paper.length === 0) {
+        throw new ServiceError(503, 'This exam has no questions yet. Please try again later.', 'EXAM_UNAVAILABLE');
+    }
+    return { subject, exam, paper };
+}
+
+// Take one of the student's attempts at `courseId`, only if one is left on a paid, unexpired
+// entry at the moment of the update (two exams started at once can't both take the last one).
+// Returns the course entry after the update, or null.
+async function takeAttempt(userId, courseId) {
+    const updated = await User.findOneAndUpdate(
+        { _id: userId, courses: { $elemMatch: { courseId, isPaid: true, expiryDate: { $gt: new Date() }, attemptsLeft: { $gt: 0 } } } },
+        { $inc: { 'courses.$.attemptsLeft': -1 } },
+        { new: true }
+    );
+    return updated ? updated.courses.find(c => c.courseId === courseId && c.isPaid) : null;
+}
+
+// Start a new exam attempt at `courseId`, using up one of the student's attempts. The attempt is
+// only taken once the paper is ready, and given back if the attempt can't be saved.
+// `mobile` comes from the verified access token. Returns { attempt, paper, attemptsLeft }.
+export async function startExam(mobile, courseId) {
+    const user = await User.findOne({ mobile });
+    if (!user) throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+
+    // Find the specific course (paid and not expired)
+    const course = requireActiveCourse(user, courseId);
+    if (course.attemptsLeft <= 0) throw new ServiceError(403, 'No attempts left for this course', 'NO_ATTEMPTS_LEFT');
+
+    const catalogCourse = await findCourse(courseId);
+    const { subject, exam, paper } = await preparePaper(catalogCourse, course);
+
+    const entry = await takeAttempt(user._id, courseId);
+    if (!entry) throw new ServiceError(403, 'No attempts left for this course', 'NO_ATTEMPTS_LEFT');
+
+    // Start the clock
+    const startedAt = new Date();
+    let attempt;
+    try {
+        attempt = await ExamAttempt.create({
+            user: user._id,
+            courseId: entry.courseId,
+            subject,
+            questions: paper.map(q => ({ question: q._id, answer: q.answer, marks: q.marks })),
+            startedAt,
+            timeLimitMinutes: exam.durationMinutes,
+            expiresAt: new Date(startedAt.getTime() + exam.durationMinutes * 60 * 1000)
+        });
+    } catch (err) {
+        await User.updateOne({ _id: user._id, 'courses._id': entry._id }, { $inc: { 'courses.$.attemptsLeft': 1 } });
+        throw err;
+    }
+
+    await notifyAttemptsUsed(user, entry);
+    publishEvent('exam.started', {
+        name: user.name, mobile: user.mobile, courseId, attemptId: attempt._id, attemptsLeft: entry.attemptsLeft
+    }, { center: user.center });
+
+    return { attempt, paper, attemptsLeft: entry.attemptsLeft };
+}
+
+// Question as shown to the student: no answer key
+export function toPublicQuestion(question) {
+    return {
+        questionId: question._id,
+        prompt: question.prompt,
+        options: question.options,
+        marks: question.marks,
+        module: question.module
+    };
+}
+
+// Option index chosen by the student, or null when the question was skipped
+function toChoice(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const choice = Number(value);
+    return Number.isInteger(choice) ? choice : null;
+}
+
+// Accepts either [{ questionId, selected }] or { [questionId]: selected }
+function normalizeAnswers(answers) {
+    if (Array.isArray(answers)) {
+        return new Map(answers
+            .filter(a => a && a.questionId != null)
+            .map(a => [String(a.questionId), toChoice(a.selected)]));
+    }
+    if (answers && typeof answers === 'object') {
+        return new Map(Object.entries(answers).map(([id, selected]) => [id, toChoice(selected)]));
+    }
+    return new Map();
+}
+
+export function scoreAnswers(attempt, answers) {
+    const selectedById = normalizeAnswers(answers);
+    let score = 0;
+    let maxScore = 0;
+    let correctCount = 0;
+
+    const scored = attempt.questions.map(q => {
+        const selected = selectedById.get(String(q.question)) ?? null;
+        const isCorrect = selected !== null && selected === q.answer;
+        maxScore += q.marks;
+        if (isCorrect) {
+            score += q.marks;
+            correctCount += 1;
+        }
+        return { question: q.question, selected, isCorrect };
+    });
+
+    return { answers: scored, score, maxScore, correctCount };
+}
+
+// Score and close an attempt. Throws a ServiceError when the attempt is unknown,
+// already submitted, or past its time limit.
+export async function submitAttempt({ userId, attemptId, answers }) {
+    const attempt = mongoose.isValidObjectId(attemptId)
+        ? await ExamAttempt.findOne({ _id: attemptId, user: userId })
+        : null;
+    if (!attempt) throw new ServiceError(404, 'Exam attempt not found', 'ATTEMPT_NOT_FOUND');
+    if (attempt.status === 'SUBMITTED') throw new ServiceError(409, 'This attempt has already been submitted', 'ATTEMPT_ALREADY_SUBMITTED');
+
+    const now = new Date();
+    if (attempt.status === 'EXPIRED' || now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS) {
+        await ExamAttempt.updateOne({ _id: attempt._id, status: 'IN_PROGRESS' }, { $set: { status: 'EXPIRED' } });
+        throw new ServiceError(403, 'Time limit exceeded. This attempt can no longer be submitted.', 'ATTEMPT_TIME_EXCEEDED');
+    }
+
+    const result = scoreAnswers(attempt, answers);
+
+    // Only one submission can move the attempt out of IN_PROGRESS
+    const submitted = await ExamAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: 'IN_PROGRESS' },
+        { $set: { ...result, status: 'SUBMITTED', submittedAt: now } },
+        { new: true }
+    );
+    if (!submitted) throw new ServiceError(409, 'This attempt has already been submitted', 'ATTEMPT_ALREADY_SUBMITTED');
+
+    return submitted;
+}
+
+export function toAttemptSummary(attempt) {
+    return {
+        attemptId: attempt._id,
+        courseId: attempt.courseId,
+        subject: attempt.subject,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        correctCount: attempt.correctCount,
+        totalQuestions: attempt.questions.length,
+        percent: attempt.maxScore ? Math.round((attempt.score / attempt.maxScore) * 10000) / 100 : null
+    };
+}
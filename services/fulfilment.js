@@ -0,0 +1,205 @@
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { updateOrderStatus } from './orders.js';
+import { recordCouponUse, releaseCouponUse } from './coupons.js';
+import { notifyOrderPaid } from './notifications.js';
+import { publishEvent } from './liveEvents.js';
+import { invoicePaidOrder } from './invoices.js';
+
+// Statuses from which a payment confirmation may still be applied.
+// FAILED is included because a student can retry payment on the same gateway order,
+// EXPIRED because reconciliation may expire an order that is still payable on Cashfree.
+const PAYABLE_STATUSES = ['CREATED', 'PENDING', 'FAILED', 'EXPIRED'];
+
+// A grant claimed this long ago that never finished (crash, lost connection) may be claimed again
+const GRANT_LEASE_MS = 5 * 60 * 1000;
+
+// Renewals and attempt packs change only the validity / attempts of the student's entries:
+// the entry stays under the order that granted the course, with its progress untouched, and
+// records what the add-on order added so a refund can take exactly that back.
+// An entry that is gone by now (e.g. refunded after the add-on was ordered) is skipped.
+// Returns the line's fulfilment ({ status, note }).
+function applyAddOn(user, order, item, now) {
+    const skipped = [];
+    for (const grant of item.grants) {
+        const entry = user.courses.find(c => c.courseId === grant.courseId && c.isPaid);
+        if (!entry) {
+            console.warn(`[Fulfilment] Order ${order.orderId}: ${user.mobile} no longer owns ${grant.courseId}, ${item.type} not applied`);
+            skipped.push(grant.courseId);
+            continue;
+        }
+
+        if (item.type === 'renewal') {
+            const expiry = new Date(entry.expiryDate > now ? entry.expiryDate : now);
+            expiry.setDate(expiry.getDate() + item.validityDays);
+            entry.expiryDate = expiry;
+            entry.addOns.push({ orderId: order.orderId, type: 'renewal', days: item.validityDays });
+        } else {
+            entry.attemptsLeft = (entry.attemptsLeft || 0) + grant.attempts;
+            entry.addOns.push({ orderId: order.orderId, type: 'attempts', attempts: grant.attempts });
+        }
+    }
+
+    if (skipped.length === 0) return { status: 'APPLIED' };
+    return {
+        status: skipped.length === item.grants.length ? 'SKIPPED' : 'APPLIED',
+        note: `Not applied to ${skipped.join(', ')}: no longer owned`
+    };
+}
+
+// Grant every line on a paid order to its user, recording each line's fulfilment on the order.
+// Re-buying an owned course re-activates it under the new order and resets its validity (and,
+// once it had expired, its attempts).
+// Idempotent: the user records the orders already applied, in the same save as the courses.
+async function grantOrder(order) {
+    const user = await User.findById(order.user);
+    if (!user) return null;
+
+    // An earlier attempt granted everything but died before marking the order fulfilled
+    if (user.fulfilledOrders.includes(order.orderId)) return user;
+
+    const now = new Date();
+    if (!user.courses) user.courses = [];
+
+    for (const item of order.items) {
+        if (item.type === 'renewal' || item.type === 'attempts') {
+            item.fulfilment = applyAddOn(user, order, item, now);
+            continue;
+        }
+
+        const expiry = new Date(now);
+        expiry.setDate(expiry.getDate() + item.validityDays);
+
+        for (const grant of item.grants) {
+            const existingCourse = user.courses.find(c => c.courseId === grant.courseId);
+
+            if (existingCourse) {
+                const hadAccess = existingCourse.isPaid && existingCourse.expiryDate > now;
+                if (!hadAccess) existingCourse.attemptsLeft = grant.attempts;
+                existingCourse.isPaid = true;
+                existingCourse.orderId = order.orderId;
+                existingCourse.paymentDate = now;
+                existingCourse.expiryDate = expiry;
+                existingCourse.refundedAt = undefined;
+                existingCourse.addOns = []; // Earlier add-ons belonged to the replaced order's validity
+            } else {
+                user.courses.push({
+                    courseId: grant.courseId,
+                    courseName: grant.courseName,
+                    subject: grant.subject,
+                    isPaid: true,
+                    orderId: order.orderId,
+                    paymentDate: now,
+                    expiryDate: expiry,
+                    attemptsLeft: grant.attempts,
+                    modulesCompleted: []
+                });
+            }
+        }
+        item.fulfilment = { status: 'GRANTED' };
+    }
+
+    // Line results first: if the process dies after the user is saved, a retry finds them in place
+    await order.save();
+    user.fulfilledOrders.push(order.orderId);
+    await user.save();
+    return user;
+}
+
+// Take over a PAID order whose grant never finished. Only one caller holds the claim at a
+// time; a claim older than GRANT_LEASE_MS is treated as abandoned.
+async function claimGrant(orderId) {
+    const now = new Date();
+    return Order.findOneAndUpdate(
+        {
+            orderId,
+            status: 'PAID',
+            fulfilledAt: { $exists: false },
+            $or: [{ grantClaimedAt: { $exists: false } }, { grantClaimedAt: { $lt: new Date(now - GRANT_LEASE_MS) } }]
+        },
+        { $set: { grantClaimedAt: now } },
+        { new: true }
+    );
+}
+
+// Orders placed before the Order ledger existed only live on User.courses[] as unpaid entries
+async function fulfilLegacyOrder(orderId) {
+    const now = new Date();
+
+    const user = await User.findOneAndUpdate(
+        { courses: { $elemMatch: { orderId: orderId, isPaid: false } } },
+        { $set: { 'courses.$[c].isPaid': true, 'courses.$[c].paymentDate': now } },
+        { arrayFilters: [{ 'c.orderId': orderId, 'c.isPaid': false }], new: true }
+    );
+
+    if (user) {
+        console.log(`[Fulfilment] Legacy order ${orderId} fulfilled for ${user.mobile}`);
+        return { order: null, user, fulfilled: true };
+    }
+
+    const existing = await User.findOne({ 'courses.orderId': orderId });
+    return { order: null, user: existing, fulfilled: false };
+}
+
+// Mark an order paid and grant its courses.
+// Safe to call any number of times and from concurrent callers (browser
+// verify-payment and the Cashfree webhook): only the caller that moves the
+// order into PAID grants anything, every other call is a no-op. A PAID order
+// whose grant never finished (`fulfilledAt` unset) is granted by the next call.
+// Returns { order, user, fulfilled } where `fulfilled` is true only for the call
+// that granted the courses; `user` is null if the order is unknown.
+export async function fulfilOrder(orderId, { note, gatewayResponse } = {}) {
+    const now = new Date();
+    const set = { paidAt: now, grantClaimedAt: now };
+    if (gatewayResponse) set.gatewayResponse = gatewayResponse;
+
+    let order = await updateOrderStatus(orderId, 'PAID', { from: PAYABLE_STATUSES, note, set });
+
+    if (!order) {
+        const existing = await Order.findOne({ orderId });
+        if (!existing) return fulfilLegacyOrder(orderId);
+
+        order = existing.status === 'PAID' && !existing.fulfilledAt ? await claimGrant(orderId) : null;
+        if (!order) {
+            const user = await User.findById(existing.user);
+            return { order: existing, user, fulfilled: false };
+        }
+        console.warn(`[Fulfilment] Order ${orderId} was paid but not granted, granting now`);
+    }
+
+    // The order's coupon reservation becomes a use (once, whichever call gets here first)
+    await recordCouponUse(order);
+
+    const user = await grantOrder(order);
+    if (!user) {
+        console.error(`[Fulfilment] Order ${orderId} is paid but its user no longer exists`);
+        return { order, user: null, fulfilled: false };
+    }
+
+    order.fulfilledAt = new Date();
+    await order.save();
+
+    console.log(`[Fulfilment] Order ${orderId} fulfilled for ${user.mobile}`);
+    publishEvent('payment.verified', {
+        orderId,
+        name: user.name,
+        mobile: user.mobile,
+        amount: order.amount,
+        courseIds: order.items.map(i => i.courseId),
+        via: note // e.g. 'verify-payment', 'reconciliation'
+    }, { center: order.center });
+
+    // Neither ever fails the payment confirmation: emails are queued, and orders that
+    // couldn't be invoiced are picked up by the invoice job
+    await invoicePaidOrder(order);
+    await notifyOrderPaid(order, user);
+    return { order, user, fulfilled: true };
+}
+
+// Record a failed or abandoned payment and give back its coupon use. Paid orders are never downgraded.
+export async function failOrder(orderId, { note, gatewayResponse } = {}) {
+    const set = gatewayResponse ? { gatewayResponse } : {};
+    const order = await updateOrderStatus(orderId, 'FAILED', { from: ['CREATED', 'PENDING'], note, set });
+    await releaseCouponUse(order);
+    return order;
+}
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import http from './http.js';
+
+const API_VERSION = '2022-09-01';
+
+// Reject webhooks whose timestamp is older than this (replay protection)
+const WEBHOOK_TOLERANCE_MS = 10 * 60 * 1000;
+
+function getCredentials() {
+    return {
+        appId: process.env.CASHFREE_APP_ID ? process.env.CASHFREE_APP_ID.trim() : '',
+        secretKey: process.env.CASHFREE_SECRET_KEY ? process.env.CASHFREE_SECRET_KEY.trim() : ''
+    };
+}
+
+// CASHFREE_ENV=sandbox|production. Without it, TEST app ids are assumed to be sandbox keys.
+function getBaseUrl() {
+    const env = (process.env.CASHFREE_ENV || '').trim().toLowerCase();
+    const isSandbox = env ? env === 'sandbox' : getCredentials().appId.startsWith('TEST');
+    return isSandbox ? 'https://sandbox.cashfree.com/pg' : 'https://api.cashfree.com/pg';
+}
+
+function getHeaders() {
+    const { appId, secretKey } = getCredentials();
+    return {
+        'Content-Type': 'application/json',
+        'x-api-version': API_VERSION,
+        'x-client-id': appId,
+        'x-client-secret': secretKey
+    };
+}
+
+// Cashfree signs webhooks as base64(HMAC-SHA256(timestamp + rawBody)) using the client secret
+function verifyWebhookSignature(rawBody, timestamp, signature) {
+    const { secretKey } = getCredentials();
+    if (!secretKey || !rawBody || !timestamp || !signature) return false;
+
+    const sentAt = Number(timestamp);
+    if (Number.isFinite(sentAt) && Math.abs(Date.now() - sentAt) > WEBHOOK_TOLERANCE_MS) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac('sha256', secretKey)
+        .update(timestamp + rawBody.toString('utf8'))
+        .digest('base64');
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Cashfree refund_status values already match Order REFUND_STATUSES
+function toRefund(data) {
+    return {
+        refundId: data.refund_id,
+        gatewayRefundId: data.cf_refund_id,
+        status: data.refund_status,
+        raw: data
+    };
+}
+
+function toOrderStatus(orderStatus) {
+    if (orderStatus === 'PAID') return 'PAID';
+    if (orderStatus === 'EXPIRED' || orderStatus === 'TERMINATED') return 'EXPIRED';
+    return 'ACTIVE';
+}
+
+export default {
+    isConfigured() {
+        const { appId, secretKey } = getCredentials();
+        return Boolean(appId && secretKey);
+    },
+
+    async createOrder({ orderId, amount, currency, customer, returnUrl }) {
+        const payload = {
+            order_id: orderId,
+            order_amount: amount,
+            order_currency: currency,
+            customer_details: {
+                customer_id: customer.customerId,
+                customer_name: customer.name,
+                customer_email: customer.email,
+                customer_phone: customer.mobile
+            },
+            order_meta: {
+                return_url: returnUrl
+            }
+        };
+
+        const response = await http.post(`${getBaseUrl()}/orders`, payload, { headers: getHeaders() });
+        // The frontend Cashfree SDK uses the response as is (payment_session_id)
+        return { gatewayOrderId: response.data.cf_order_id, checkout: response.data, raw: response.data };
+    },
+
+    async fetchOrder({ orderId }) {
+        try {
+            const response = await http.get(`${getBaseUrl()}/orders/${encodeURIComponent(orderId)}`, { headers: getHeaders() });
+            return { status: toOrderStatus(response.data.order_status), gatewayStatus: response.data.order_status, raw: response.data };
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    },
+
+    parseWebhook(req) {
+        if (!verifyWebhookSignature(req.rawBody, req.headers['x-webhook-timestamp'], req.headers['x-webhook-signature'])) {
+            return null;
+        }
+
+        const { type, data } = req.body || {};
+        const orderId = data?.order?.order_id || data?.refund?.order_id;
+
+        switch (type) {
+            case 'PAYMENT_SUCCESS_WEBHOOK':
+                return { type: 'PAYMENT_SUCCESS', orderId };
+            case 'PAYMENT_FAILED_WEBHOOK':
+            case 'PAYMENT_USER_DROPPED_WEBHOOK':
+                return {
+                    type: 'PAYMENT_FAILED',
+                    orderId,
+                    reason: data?.payment?.payment_message || data?.payment?.payment_status || type,
+                    payment: data?.payment
+                };
+            case 'REFUND_STATUS_WEBHOOK':
+                return { type: 'REFUND', orderId, refund: toRefund(data.refund) };
+            default:
+                return { type: 'OTHER', orderId, gatewayEvent: type };
+        }
+    },
+
+    async createRefund(order, { refundId, amount, note }) {
+        const response = await http.post(
+            `${getBaseUrl()}/orders/${encodeURIComponent(order.orderId)}/refunds`,
+            { refund_id: refundId, refund_amount: amount, refund_note: note },
+            { headers: getHeaders() }
+        );
+        return toRefund(response.data);
+    },
+
+    async fetchRefund(order, refund) {
+        const response = await http.get(
+            `${getBaseUrl()}/orders/${encodeURIComponent(order.orderId)}/refunds/${encodeURIComponent(refund.refundId)}`,
+            { headers: getHeaders() }
+        );
+        return toRefund(response.data);
+    }
+};
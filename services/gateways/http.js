@@ -0,0 +1,7 @@
+import axios from 'axios';
+
+// HTTP client for every gateway API call. A gateway that stops answering fails the call
+// after the timeout instead of holding up the request (or reconciliation run) waiting on it.
+const GATEWAY_TIMEOUT_MS = 10000;
+
+export default axios.create({ timeout: GATEWAY_TIMEOUT_MS });
@@ -0,0 +1,45 @@
+import cashfree from './cashfree.js';
+import razorpay from './razorpay.js';
+import mock from './mock.js';
+
+// Payment gateways. Every gateway implements:
+//   isConfigured()
+//   createOrder({ orderId, amount, currency, customer: { customerId, name, email, mobile }, returnUrl })
+//       -> { gatewayOrderId, checkout, raw }   `checkout` is what the frontend needs to take payment
+//   fetchOrder({ orderId, gatewayOrderId })
+//       -> { status: 'ACTIVE' | 'PAID' | 'EXPIRED', gatewayStatus, raw }, or null if the gateway doesn't know the order
+//   parseWebhook(req)
+//       -> null if the signature is invalid, otherwise
+//          { type: 'PAYMENT_SUCCESS' | 'PAYMENT_FAILED' | 'REFUND' | 'OTHER', orderId?, gatewayOrderId?, reason?, payment?, refund? }
+//   createRefund(order, { refundId, amount, note }) / fetchRefund(order, refund)
+//       -> { refundId, gatewayRefundId, status, raw } with status one of Order REFUND_STATUSES
+// New orders use PAYMENT_GATEWAY (default cashfree); existing orders always go back to the
+// gateway stored on them.
+const gateways = new Map();
+
+export function registerGateway(name, gateway) {
+    gateways.set(name, { name, ...gateway });
+}
+
+registerGateway('cashfree', cashfree);
+registerGateway('razorpay', razorpay);
+registerGateway('mock', mock);
+
+export function getDefaultGatewayName() {
+    return (process.env.PAYMENT_GATEWAY || 'cashfree').trim().toLowerCase();
+}
+
+export function getGateway(name) {
+    const gatewayName = name || getDefaultGatewayName();
+    const gateway = gateways.get(gatewayName);
+    if (!gateway) throw new Error(`Unknown payment gateway "${gatewayName}"`);
+    return gateway;
+}
+
+export function hasGateway(name) {
+    return gateways.has(name);
+}
+
+export function getConfiguredGatewayNames() {
+    return [...gateways.values()].filter(g => g.isConfigured()).map(g => g.name);
+}
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+
+// In-process gateway for local development and offline testing. Orders live in memory,
+// are paid through the mock pay page (routes/mockGateway.js) and vanish on restart.
+// Off unless MOCK_GATEWAY_ENABLED=true and MOCK_GATEWAY_SECRET is set, and never available
+// when NODE_ENV=production: anyone can pay a mock order.
+const orders = new Map();
+
+export function isMockGatewayEnabled() {
+    return process.env.NODE_ENV !== 'production'
+        && process.env.MOCK_GATEWAY_ENABLED === 'true'
+        && Boolean(process.env.MOCK_GATEWAY_SECRET);
+}
+
+// Sign a mock webhook body the way parseWebhook expects, for local testing
+export function signMockWebhook(rawBody) {
+    return crypto.createHmac('sha256', process.env.MOCK_GATEWAY_SECRET).update(rawBody).digest('hex');
+}
+
+export function getMockOrder(orderId) {
+    return orders.get(orderId) || null;
+}
+
+// Settle a mock order as the student would on a real gateway's page
+export function settleMockOrder(orderId, outcome) {
+    const order = orders.get(orderId);
+    if (!order || order.status !== 'ACTIVE') return order || null;
+
+    // A failed attempt leaves the order payable, as on Cashfree
+    if (outcome === 'success') order.status = 'PAID';
+    order.attempts.push({ outcome, at: new Date() });
+    return order;
+}
+
+function toPublic(order) {
+    return { orderId: order.orderId, amount: order.amount, currency: order.currency, status: order.status, attempts: order.attempts };
+}
+
+export default {
+    isConfigured() {
+        return isMockGatewayEnabled();
+    },
+
+    async createOrder({ orderId, amount, currency, customer, returnUrl }) {
+        const order = { orderId, amount, currency, customer, returnUrl, status: 'ACTIVE', attempts: [], refunds: new Map() };
+        orders.set(orderId, order);
+
+        const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+        return {
+            gatewayOrderId: `mock_${orderId}`,
+            checkout: { payment_url: `${base}/api/mock-gateway/pay/${encodeURIComponent(orderId)}` },
+            raw: toPublic(order)
+        };
+    },
+
+    async fetchOrder({ orderId }) {
+        const order = orders.get(orderId);
+        if (!order) return null;
+        return { status: order.status, gatewayStatus: order.status, raw: toPublic(order) };
+    },
+
+    // Body: { type: 'PAYMENT_SUCCESS' | 'PAYMENT_FAILED', orderId, reason }, signed with signMockWebhook
+    parseWebhook(req) {
+        if (!isMockGatewayEnabled()) return null;
+        const signature = String(req.headers['x-mock-signature'] || '');
+        const expected = req.rawBody ? signMockWebhook(req.rawBody) : '';
+        if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+
+        const { type, orderId, reason } = req.body || {};
+        if (type === 'PAYMENT_SUCCESS' || type === 'PAYMENT_FAILED') return { type, orderId, reason };
+        return { type: 'OTHER', orderId, gatewayEvent: type };
+    },
+
+    // Mock refunds succeed immediately
+    async createRefund(order, { refundId, amount }) {
+        const mockOrder = orders.get(order.orderId);
+        if (!mockOrder || mockOrder.status !== 'PAID') throw new Error(`Mock order ${order.orderId} is not paid`);
+
+        const refund = { refundId, gatewayRefundId: `mock_${refundId}`, status: 'SUCCESS', raw: { refundId, amount } };
+        mockOrder.refunds.set(refundId, refund);
+        return refund;
+    },
+
+    async fetchRefund(order, refund) {
+        const found = orders.get(order.orderId)?.refunds.get(refund.refundId);
+        if (!found) throw new Error(`Unknown mock refund ${refund.refundId}`);
+        return found;
+    }
+};
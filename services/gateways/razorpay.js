@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import http from './http.js';
+
+const BASE_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay has no separate sandbox host; rzp_test_ keys run in test mode
+function getCredentials() {
+    return {
+        keyId: process.env.RAZORPAY_KEY_ID ? process.env.RAZORPAY_KEY_ID.trim() : '',
+        keySecret: process.env.RAZORPAY_KEY_SECRET ? process.env.RAZORPAY_KEY_SECRET.trim() : '',
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET ? process.env.RAZORPAY_WEBHOOK_SECRET.trim() : ''
+    };
+}
+
+function getAuth() {
+    const { keyId, keySecret } = getCredentials();
+    return { username: keyId, password: keySecret };
+}
+
+// Razorpay amounts are in paise
+function toPaise(amount) {
+    return Math.round(amount * 100);
+}
+
+// Razorpay signs webhooks as hex(HMAC-SHA256(rawBody)) using the webhook secret
+function verifyWebhookSignature(rawBody, signature) {
+    const { webhookSecret } = getCredentials();
+    if (!webhookSecret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const REFUND_STATUS_MAP = { pending: 'PENDING', processed: 'SUCCESS', failed: 'FAILED' };
+
+function toRefund(entity) {
+    return {
+        refundId: entity.notes?.refundId || entity.receipt,
+        gatewayRefundId: entity.id,
+        status: REFUND_STATUS_MAP[entity.status] || 'PENDING',
+        raw: entity
+    };
+}
+
+export default {
+    isConfigured() {
+        const { keyId, keySecret } = getCredentials();
+        return Boolean(keyId && keySecret);
+    },
+
+    async createOrder({ orderId, amount, currency, customer, returnUrl }) {
+        const response = await http.post(`${BASE_URL}/orders`, {
+            amount: toPaise(amount),
+            currency,
+            receipt: orderId,
+            notes: { orderId, mobile: customer.mobile }
+        }, { auth: getAuth() });
+
+        const razorpayOrder = response.data;
+        return {
+            gatewayOrderId: razorpayOrder.id,
+            // Options for Razorpay Checkout on the frontend
+            checkout: {
+                key_id: getCredentials().keyId,
+                razorpay_order_id: razorpayOrder.id,
+                amount: razorpayOrder.amount,
+                currency: razorpayOrder.currency,
+                prefill: { name: customer.name, email: customer.email, contact: customer.mobile },
+                callback_url: returnUrl
+            },
+            raw: razorpayOrder
+        };
+    },
+
+    // Razorpay orders are looked up by their own id, so orders that never reached Razorpay are unknown
+    async fetchOrder({ gatewayOrderId }) {
+        if (!gatewayOrderId) return null;
+        try {
+            const response = await http.get(`${BASE_URL}/orders/${encodeURIComponent(gatewayOrderId)}`, { auth: getAuth() });
+            // Razorpay orders never expire on their own: created / attempted / paid
+            return {
+                status: response.data.status === 'paid' ? 'PAID' : 'ACTIVE',
+                gatewayStatus: response.data.status,
+                raw: response.data
+            };
+        } catch (error) {
+            if (error.response?.status === 400 || error.response?.status === 404) return null;
+            throw error;
+        }
+    },
+
+    parseWebhook(req) {
+        if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) return null;
+
+        const { event, payload } = req.body || {};
+        const payment = payload?.payment?.entity;
+
+        switch (event) {
+            case 'order.paid':
+                return { type: 'PAYMENT_SUCCESS', orderId: payload.order?.entity?.receipt, gatewayOrderId: payload.order?.entity?.id };
+            case 'payment.failed':
+                return {
+                    type: 'PAYMENT_FAILED',
+                    gatewayOrderId: payment?.order_id,
+                    reason: payment?.error_description || event,
+                    payment
+                };
+            case 'refund.processed':
+            case 'refund.failed': {
+                const refund = payload.refund?.entity;
+                return { type: 'REFUND', orderId: refund?.notes?.orderId, gatewayOrderId: payment?.order_id, refund: toRefund(refund) };
+            }
+            default:
+                return { type: 'OTHER', gatewayOrderId: payment?.order_id, gatewayEvent: event };
+        }
+    },
+
+    // Refunds are made against the captured payment of the order
+    async createRefund(order, { refundId, amount, note }) {
+        const payments = await http.get(`${BASE_URL}/orders/${encodeURIComponent(order.gatewayOrderId)}/payments`, { auth: getAuth() });
+        const captured = payments.data.items.find(p => p.status === 'captured');
+        if (!captured) throw new Error(`No captured Razorpay payment for order ${order.orderId}`);
+
+        const response = await http.post(`${BASE_URL}/payments/${encodeURIComponent(captured.id)}/refund`, {
+            amount: toPaise(amount),
+            receipt: refundId,
+            notes: { orderId: order.orderId, refundId, note }
+        }, { auth: getAuth() });
+        return toRefund(response.data);
+    },
+
+    async fetchRefund(order, refund) {
+        const response = await http.get(`${BASE_URL}/refunds/${encodeURIComponent(refund.gatewayRefundId)}`, { auth: getAuth() });
+        return toRefund(response.data);
+    }
+};
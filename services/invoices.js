@@ -0,0 +1,441 @@
+import mongoose from 'mongoose';
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Center from '../models/Center.js';
+import { ServiceError } from './errors.js';
+import { SOLD_STATUSES } from './reports.js';
+import { scheduleJob } from './scheduler.js';
+import { resolveGstState, stateFromGstin } from '../utils/gstStates.js';
+
+export const INVOICE_JOB = 'issue-invoices';
+
+// Invoice dates and financial years are Indian
+const TIMEZONE = 'Asia/Kolkata';
+
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+function getSettings() {
+    const gstin = (process.env.SELLER_GSTIN || '').trim().toUpperCase();
+    const state = resolveGstState(process.env.SELLER_STATE) || stateFromGstin(gstin);
+    return {
+        seller: {
+            name: process.env.SELLER_NAME || 'SCSM',
+            gstin,
+            address: process.env.SELLER_ADDRESS || '',
+            email: process.env.SELLER_EMAIL || '',
+            state: state?.name,
+            stateCode: state?.code
+        },
+        prefix: process.env.INVOICE_PREFIX || 'SCSM', // Up to 4 characters keeps numbers within GST's 16
+        gstRate: numberFromEnv('GST_RATE', 18), // Course prices include GST at this rate
+        sac: process.env.INVOICE_SAC || '999293', // Commercial training and coaching services
+        intervalMinutes: numberFromEnv('INVOICE_INTERVAL_MINUTES', 30), // 0 disables the catch-up job
+        catchUpDays: numberFromEnv('INVOICE_CATCH_UP_DAYS', 7)
+    };
+}
+
+// Invoices can only be issued once the seller's GSTIN and state are known
+export function isInvoicingConfigured() {
+    const { seller } = getSettings();
+    return Boolean(seller.gstin && seller.stateCode);
+}
+
+// April to March, e.g. '2026-27'
+export function financialYearOf(date) {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE, year: 'numeric', month: '2-digit' })
+        .format(date).split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+function formatInvoiceNumber(prefix, financialYear, sequence) {
+    return `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(5, '0')}`;
+}
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+// Where the service is supplied: the buyer's GSTIN, else the state they gave at checkout, else
+// their center's state. With no buyer address on record, GST treats the supplier's own state
+// as the place of supply.
+async function resolveBuyer(order, seller) {
+    const user = order.user ? await User.findById(order.user, 'name email mobile') : null;
+    const gstin = order.customer?.gstin || undefined;
+
+    let state = stateFromGstin(gstin) || resolveGstState(order.customer?.state);
+    if (!state && order.center) {
+        const center = await Center.findById(order.center, 'state');
+        state = resolveGstState(center?.state);
+    }
+    if (!state) state = { code: seller.stateCode, name: seller.state };
+
+    return {
+        name: order.customer?.name || user?.name,
+        gstin,
+        email: order.customer?.email || user?.email,
+        mobile: order.customer?.mobile || user?.mobile,
+        state: state.name,
+        stateCode: state.code
+    };
+}
+
+// Split the charged amount across the order's lines by list price (the last line takes the
+// rounding remainder so lines add up to the amount charged), then take the GST out of each.
+function buildLines(order, { gstRate, sac, interState }) {
+    const subtotal = order.subtotal || order.items.reduce((sum, item) => sum + item.price, 0);
+    let remaining = toPaise(order.amount);
+
+    return order.items.map((item, index) => {
+        const isLast = index === order.items.length - 1;
+        const share = subtotal > 0 ? item.price / subtotal : 1 / order.items.length;
+        const total = isLast ? remaining : Math.round(toPaise(order.amount) * share);
+        remaining -= total;
+
+        const taxable = Math.round(total * 100 / (100 + gstRate));
+        const tax = total - taxable;
+        const cgst = interState ? 0 : Math.round(tax / 2);
+
+        return {
+            courseId: item.courseId,
+            description: item.courseName || item.courseId,
+            sac,
+            quantity: 1,
+            listPrice: item.price,
+            discount: toRupees(Math.max(toPaise(item.price) - total, 0)),
+            taxableValue: toRupees(taxable),
+            cgst: toRupees(cgst),
+            sgst: toRupees(interState ? 0 : tax - cgst),
+            igst: toRupees(interState ? tax : 0),
+            total: toRupees(total)
+        };
+    });
+}
+
+function sumLines(lines) {
+    const sum = (field) => toRupees(lines.reduce((acc, line) => acc + toPaise(line[field]), 0));
+    const totals = { taxableValue: sum('taxableValue'), cgst: sum('cgst'), sgst: sum('sgst'), igst: sum('igst'), total: sum('total') };
+    totals.tax = toRupees(toPaise(totals.cgst) + toPaise(totals.sgst) + toPaise(totals.igst));
+    return totals;
+}
+
+// Issue (or return the already issued) invoice for a paid order.
+// The number is taken from the financial year's counter in the same transaction that saves the
+// invoice, so a failed issue never burns a number and the series stays gap-free. Transactions
+// need a replica set (any Atlas cluster is one).
+export async function issueInvoice(order) {
+    const existing = await Invoice.findOne({ orderId: order.orderId });
+    if (existing) return existing;
+
+    if (!SOLD_STATUSES.includes(order.status)) {
+        throw new ServiceError(409, 'Only paid orders are invoiced', 'ORDER_NOT_PAID');
+    }
+
+    const settings = getSettings();
+    if (!isInvoicingConfigured()) {
+        throw new ServiceError(503, 'Invoicing is not configured (SELLER_GSTIN, SELLER_STATE)', 'INVOICING_NOT_CONFIGURED');
+    }
+
+    const { seller } = settings;
+    const buyer = await resolveBuyer(order, seller);
+    const interState = buyer.stateCode !== seller.stateCode;
+    const lines = buildLines(order, { ...settings, interState });
+
+    // Dated (and numbered in the financial year of) the payment, however late it is issued
+    const issuedAt = order.paidAt || new Date();
+    const financialYear = financialYearOf(issuedAt);
+
+    const session = await mongoose.startSession();
+    try {
+        let invoice;
+        await session.withTransaction(async () => {
+            const counter = await Counter.findOneAndUpdate(
+                { _id: `invoice:${financialYear}` },
+                { $inc: { seq: 1 } },
+                { upsert: true, new: true, session }
+            );
+
+            [invoice] = await Invoice.create([{
+                invoiceNumber: formatInvoiceNumber(settings.prefix, financialYear, counter.seq),
+                financialYear,
+                sequence: counter.seq,
+                orderId: order.orderId,
+                user: order.user,
+                center: order.center,
+                issuedAt,
+                paidAt: order.paidAt,
+                seller,
+                buyer,
+                placeOfSupply: { state: buyer.state, stateCode: buyer.stateCode },
+                taxType: interState ? 'INTER_STATE' : 'INTRA_STATE',
+                gstRate: settings.gstRate,
+                lines,
+                totals: sumLines(lines),
+                currency: order.currency,
+                paymentReference: order.gatewayOrderId
+            }], { session });
+        });
+
+        console.log(`[Invoices] Issued ${invoice.invoiceNumber} for order ${order.orderId}`);
+        return invoice;
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        // A concurrent call invoiced the order first
+        const issued = await Invoice.findOne({ orderId: order.orderId });
+        if (issued) return issued;
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Called once an order is fulfilled. Never fails the payment confirmation: orders that
+// couldn't be invoiced here are picked up by the invoice job.
+export async function invoicePaidOrder(order) {
+    if (!isInvoicingConfigured()) return null;
+    try {
+        return await issueInvoice(order);
+    } catch (err) {
+        console.error(`[Invoices] Failed to invoice order ${order.orderId}:`, err.message);
+        return null;
+    }
+}
+
+// Invoice orders paid in the last INVOICE_CATCH_UP_DAYS that have none yet, oldest first.
+// Older orders (e.g. from before invoicing was switched on) are only invoiced on request.
+export async function issueMissingInvoices({ limit = 100 } = {}) {
+    if (!isInvoicingConfigured()) return { issued: 0, failed: 0 };
+
+    const { catchUpDays } = getSettings();
+    const since = new Date(Date.now() - catchUpDays * 24 * 60 * 60 * 1000);
+
+    const missing = await Order.aggregate([
+        { $match: { status: { $in: SOLD_STATUSES }, paidAt: { $gte: since } } },
+        { $lookup: { from: Invoice.collection.name, localField: 'orderId', foreignField: 'orderId', as: 'invoice' } },
+        { $match: { invoice: { $size: 0 } } },
+        { $sort: { paidAt: 1 } },
+        { $limit: limit },
+        { $project: { orderId: 1 } }
+    ]);
+
+    const result = { issued: 0, failed: 0 };
+    for (const { orderId } of missing) {
+        try {
+            const order = await Order.findOne({ orderId });
+            await issueInvoice(order);
+            result.issued += 1;
+        } catch (err) {
+            result.failed += 1;
+            console.error(`[Invoices] Failed to invoice order ${orderId}:`, err.message);
+        }
+    }
+    if (result.issued || result.failed) console.log(`[Invoices] Catch-up: ${result.issued} issued, ${result.failed} failed`);
+    return result;
+}
+
+// Start the catch-up job (called once the database is connected)
+export function scheduleInvoices() {
+    const { intervalMinutes } = getSettings();
+    if (!isInvoicingConfigured()) {
+        console.warn('[Invoices] SELLER_GSTIN / SELLER_STATE not set, invoices will not be issued');
+        return;
+    }
+    if (intervalMinutes > 0) {
+        scheduleJob(INVOICE_JOB, intervalMinutes * 60 * 1000, () => issueMissingInvoices(), { delayMs: 2 * 60 * 1000 });
+    }
+}
+
+export function toPublicInvoice(invoice) {
+    return {
+        invoiceNumber: invoice.invoiceNumber,
+        orderId: invoice.orderId,
+        issuedAt: invoice.issuedAt,
+        items: invoice.lines.map(line => ({ courseId: line.courseId, description: line.description, total: line.total })),
+        taxableValue: invoice.totals.taxableValue,
+        tax: invoice.totals.tax,
+        total: invoice.totals.total,
+        currency: invoice.currency
+    };
+}
+
+// One row of the GST sales register (CSV export)
+export const INVOICE_REGISTER_COLUMNS = [
+    'invoiceNumber', 'invoiceDate', 'orderId', 'buyerName', 'buyerGstin', 'buyerMobile', 'buyerEmail',
+    'placeOfSupply', 'taxType', 'gstRate', 'taxableValue', 'cgst', 'sgst', 'igst', 'total'
+];
+
+export function toInvoiceRegisterRow(invoice) {
+    return {
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: formatDate(invoice.issuedAt, { day: '2-digit', month: '2-digit', year: 'numeric' }),
+        orderId: invoice.orderId,
+        buyerName: invoice.buyer.name,
+        buyerGstin: invoice.buyer.gstin || '',
+        buyerMobile: invoice.buyer.mobile,
+        buyerEmail: invoice.buyer.email,
+        placeOfSupply: `${invoice.placeOfSupply.stateCode}-${invoice.placeOfSupply.state}`,
+        taxType: invoice.taxType,
+        gstRate: invoice.gstRate,
+        ...invoice.totals
+    };
+}
+
+function formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    return new Date(date).toLocaleDateString('en-IN', { ...options, timeZone: TIMEZONE });
+}
+
+function formatMoney(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+    return n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim();
+}
+
+// Indian numbering: 1,23,456 -> One Lakh Twenty Three Thousand Four Hundred Fifty Six
+function numberToWords(n) {
+    if (n === 0) return 'Zero';
+    const parts = [];
+    for (const [size, name] of [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand'], [100, 'Hundred']]) {
+        if (n >= size) {
+            const count = Math.floor(n / size);
+            parts.push(`${size === 10000000 ? numberToWords(count) : belowHundred(count)} ${name}`);
+            n %= size;
+        }
+    }
+    if (n > 0) parts.push(belowHundred(n));
+    return parts.join(' ');
+}
+
+function amountInWords(amount) {
+    const paise = toPaise(amount);
+    const rupees = Math.floor(paise / 100);
+    const rest = paise % 100;
+    return `Rupees ${numberToWords(rupees)}${rest ? ` and ${belowHundred(rest)} Paise` : ''} Only`;
+}
+
+// Draw one invoice on the current page of `doc`
+function drawInvoice(doc, invoice) {
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+    const interState = invoice.taxType === 'INTER_STATE';
+    const { seller, buyer } = invoice;
+
+    doc.fillColor('#4c51bf').font('Helvetica-Bold').fontSize(20).text('TAX INVOICE', left, 50, { width, align: 'right' });
+
+    doc.fillColor('#333333').font('Helvetica-Bold').fontSize(14).text(seller.name, left, 50, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9);
+    if (seller.address) doc.text(seller.address, { width: width / 2 });
+    doc.text(`GSTIN: ${seller.gstin}`);
+    doc.text(`State: ${seller.state} (${seller.stateCode})`);
+    if (seller.email) doc.text(seller.email);
+
+    const metaTop = 80;
+    const meta = [
+        ['Invoice No', invoice.invoiceNumber],
+        ['Invoice Date', formatDate(invoice.issuedAt)],
+        ['Order ID', invoice.orderId],
+        ['Paid On', invoice.paidAt ? formatDate(invoice.paidAt) : '-']
+    ];
+    meta.forEach(([label, value], i) => {
+        doc.font('Helvetica-Bold').text(label, left + width / 2 + 40, metaTop + i * 14, { width: 80 });
+        doc.font('Helvetica').text(value, left + width / 2 + 120, metaTop + i * 14, { width: width / 2 - 120, align: 'right' });
+    });
+
+    let y = Math.max(doc.y, metaTop + meta.length * 14) + 20;
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+    y += 10;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left, y);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(buyer.name || '-');
+    if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+    if (buyer.mobile) doc.text(`Mobile: ${buyer.mobile}`);
+    if (buyer.email) doc.text(`Email: ${buyer.email}`);
+    doc.text(`Place of Supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`);
+
+    // Line items
+    const columns = interState
+        ? [['#', 20, 'left'], ['Description', 175, 'left'], ['SAC', 50, 'left'], ['Taxable Value', 85, 'right'], [`IGST ${invoice.gstRate}%`, 80, 'right'], ['Total', 85, 'right']]
+        : [['#', 20, 'left'], ['Description', 145, 'left'], ['SAC', 45, 'left'], ['Taxable Value', 75, 'right'], [`CGST ${invoice.gstRate / 2}%`, 65, 'right'], [`SGST ${invoice.gstRate / 2}%`, 65, 'right'], ['Total', 80, 'right']];
+
+    const drawRow = (cells, rowY, font) => {
+        let x = left;
+        let height = 0;
+        doc.font(font).fontSize(9);
+        cells.forEach((cell, i) => {
+            const [, colWidth, align] = columns[i];
+            doc.text(String(cell), x + 2, rowY, { width: colWidth - 4, align });
+            height = Math.max(height, doc.heightOfString(String(cell), { width: colWidth - 4 }));
+            x += colWidth;
+        });
+        return rowY + height + 8;
+    };
+
+    y = doc.y + 20;
+    doc.rect(left, y - 5, width, 20).fillColor('#eef0fb').fill();
+    doc.fillColor('#333333');
+    y = drawRow(columns.map(c => c[0]), y, 'Helvetica-Bold');
+
+    invoice.lines.forEach((line, i) => {
+        const tax = interState ? [formatMoney(line.igst)] : [formatMoney(line.cgst), formatMoney(line.sgst)];
+        const description = line.discount > 0
+            ? `${line.description}\nList price ${formatMoney(line.listPrice)}, discount ${formatMoney(line.discount)}`
+            : line.description;
+        y = drawRow([i + 1, description, line.sac || '', formatMoney(line.taxableValue), ...tax, formatMoney(line.total)], y, 'Helvetica');
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+    y += 10;
+
+    // Totals
+    const { totals } = invoice;
+    const summary = [['Taxable Value', totals.taxableValue]];
+    if (interState) summary.push([`IGST @ ${invoice.gstRate}%`, totals.igst]);
+    else summary.push([`CGST @ ${invoice.gstRate / 2}%`, totals.cgst], [`SGST @ ${invoice.gstRate / 2}%`, totals.sgst]);
+
+    summary.forEach(([label, value]) => {
+        doc.font('Helvetica').fontSize(10).text(label, right - 250, y, { width: 150 });
+        doc.text(formatMoney(value), right - 100, y, { width: 100, align: 'right' });
+        y += 15;
+    });
+    doc.font('Helvetica-Bold').fontSize(11).text(`Total (${invoice.currency})`, right - 250, y, { width: 150 });
+    doc.text(formatMoney(totals.total), right - 100, y, { width: 100, align: 'right' });
+    y += 25;
+
+    doc.font('Helvetica').fontSize(9).text(`Amount in words: ${amountInWords(totals.total)}`, left, y, { width });
+    if (invoice.paymentReference) doc.text(`Paid online, payment reference ${invoice.paymentReference}`);
+    doc.text('Tax is not payable on reverse charge basis.');
+
+    doc.fontSize(8).fillColor('#666666')
+        .text('This is a computer generated invoice and does not need a signature.', left, doc.page.height - 70, { width, align: 'center' });
+}
+
+// Stream an A4 invoice into `stream` (e.g. the Express response)
+export function renderInvoicePdf(invoice, stream) {
+    renderInvoicesPdf([invoice], stream);
+}
+
+// Stream several invoices into one PDF, one per page
+export function renderInvoicesPdf(invoices, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+    doc.pipe(stream);
+
+    for (const invoice of invoices) {
+        doc.addPage();
+        drawInvoice(doc, invoice);
+    }
+    if (invoices.length === 0) doc.addPage().fontSize(12).text('No invoices in this period.');
+
+    doc.end();
+}
@@ -0,0 +1,58 @@
+// In-process feed of student activity for the admin dashboard (GET /api/admin/events).
+// The latest events are kept in a replay buffer so a dashboard that reconnects can catch up
+// from its Last-Event-ID. Each server instance has its own feed.
+
+// Event ids are `<boot>-<seq>`: an id from before a restart replays the whole buffer
+const BOOT_ID = Date.now().toString(36);
+
+const buffer = [];
+const listeners = new Set();
+let sequence = 0;
+
+function getReplaySize() {
+    return Number(process.env.LIVE_EVENTS_REPLAY_SIZE || 200);
+}
+
+// Publish an event, e.g. publishEvent('order.created', { orderId, ... }, { center }).
+// `center` limits who sees it among center admins.
+export function publishEvent(type, data = {}, { center } = {}) {
+    sequence += 1;
+    const event = {
+        id: `${BOOT_ID}-${sequence}`,
+        type,
+        at: new Date().toISOString(),
+        center: center ? String(center) : null,
+        data
+    };
+
+    buffer.push(event);
+    if (buffer.length > getReplaySize()) buffer.splice(0, buffer.length - getReplaySize());
+
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error(`[LiveEvents] Listener failed for ${type}:`, err.message);
+        }
+    }
+    return event;
+}
+
+// Calls `listener(event)` for every new event. Returns a function that unsubscribes.
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Buffered events after `lastEventId` (none without an id; all of them for an id from an earlier boot)
+export function eventsSince(lastEventId) {
+    if (!lastEventId) return [];
+
+    const [boot, seq] = String(lastEventId).split('-');
+    if (boot !== BOOT_ID) return [...buffer];
+    return buffer.filter(e => Number(e.id.split('-')[1]) > Number(seq));
+}
+
+export function getSubscriberCount() {
+    return listeners.size;
+}
@@ -0,0 +1,44 @@
+import { getStore } from './rateLimitStore.js';
+import { recordSecurityEvent } from './security.js';
+import { ServiceError } from './errors.js';
+
+// After LOCKOUT_THRESHOLD failures within the window, the identifier is locked out for
+// LOCKOUT_MINUTES (the window restarts with the lockout).
+function getSettings() {
+    return {
+        threshold: Number(process.env.LOCKOUT_THRESHOLD || 5),
+        minutes: Number(process.env.LOCKOUT_MINUTES || 15)
+    };
+}
+
+function lockoutKey(scope, id) {
+    return `lockout:${scope}:${id}`;
+}
+
+// Throws ServiceError(429) if `id` (e.g. a mobile number) is locked out of `scope` (e.g. 'login')
+export async function assertNotLockedOut(scope, id) {
+    if (!id) return;
+    const counter = await getStore().get(lockoutKey(scope, id));
+    if (counter && counter.count >= getSettings().threshold) {
+        const minutes = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 60000));
+        throw new ServiceError(429, `Too many failed attempts. Please try again in ${minutes} minute(s).`, 'ACCOUNT_LOCKED');
+    }
+}
+
+// Count a failed attempt; the failure that reaches the threshold is recorded as a lockout.
+// `mobile` tags the security events with the student it concerns.
+export async function recordFailure(scope, id, { req, mobile, details } = {}) {
+    if (!id) return;
+    const { threshold, minutes } = getSettings();
+    const counter = await getStore().increment(lockoutKey(scope, id), minutes * 60 * 1000);
+
+    await recordSecurityEvent(`${scope}.failed`, { req, mobile, details: { ...details, failures: counter.count } });
+    if (counter.count === threshold) {
+        await recordSecurityEvent(`${scope}.lockout`, { req, mobile, details: { ...details, minutes } });
+    }
+}
+
+export async function clearFailures(scope, id) {
+    if (!id) return;
+    await getStore().reset(lockoutKey(scope, id));
+}
@@ -0,0 +1,89 @@
+import User from '../models/User.js';
+import { getActiveCourses, toLoginUser, findUserByMobileAndEmail } from './auth.js';
+import { startSession, describeClient } from './sessions.js';
+import { assertNotLockedOut, recordFailure, clearFailures } from './lockout.js';
+import { requestOtp, verifyOtp } from './otp.js';
+import { publishEvent } from './liveEvents.js';
+import { ServiceError } from './errors.js';
+
+// Student login flows shared by the Express routes (routes/login.js) and the serverless
+// functions in api/. Each successful login starts a device session and returns
+// { accessToken, refreshToken, ..., user }.
+
+// New device session for a student with at least one active course
+async function logIn(user, req, method) {
+    const validCourses = getActiveCourses(user);
+    if (validCourses.length === 0) {
+        throw new ServiceError(403, 'No active course found. Please purchase a course.', 'NO_ACTIVE_COURSE');
+    }
+
+    // Short-lived access token plus refresh token
+    const session = await startSession(user, describeClient(req));
+    publishEvent('student.login', { name: user.name, mobile: user.mobile, method }, { center: user.center });
+
+    return { ...session, user: await toLoginUser(user, validCourses) };
+}
+
+// Legacy name + mobile + email login, superseded by OTP login. It proves nothing a stranger
+// couldn't know, so it is off unless LEGACY_LOGIN_ENABLED=true (for clients without OTP login).
+export function isLegacyLoginEnabled() {
+    return process.env.LEGACY_LOGIN_ENABLED === 'true';
+}
+
+export async function loginWithDetails({ name, mobile, email }, req) {
+    await assertNotLockedOut('login', mobile);
+
+    const { user, emailMatches } = await findUserByMobileAndEmail(mobile, email);
+
+    if (!user || !emailMatches) {
+        await recordFailure('login', mobile, { req, mobile, details: { reason: user ? 'email-mismatch' : 'not-found' } });
+        throw new ServiceError(404, 'User not found. Check details or Purchase Course.', 'USER_NOT_FOUND');
+    }
+
+    // Name Match (Strict Check as per User Request)
+    const normalize = (str) => str.toLowerCase().replace(/\s+/g, ' ').trim();
+    const dbName = normalize(user.name);
+    const inputName = normalize(name);
+
+    // Strict Equality Check
+    if (dbName !== inputName) {
+        await recordFailure('login', user.mobile, { req, mobile: user.mobile, details: { reason: 'name-mismatch', name } });
+        throw new ServiceError(401, 'Name mismatch. Please enter your full registered name.', 'AUTH_NAME_MISMATCH');
+    }
+
+    const result = await logIn(user, req, 'legacy');
+    await clearFailures('login', user.mobile);
+    return result;
+}
+
+// Send a login OTP to the student's mobile. Returns { expiresInSeconds, channel }, the same
+// for a mobile that isn't registered (nothing is sent then), so it can't be used to find students.
+export async function requestLoginOtp(mobile) {
+    const user = await User.findOne({ mobile });
+
+    try {
+        return await requestOtp(mobile, user);
+    } catch (e) {
+        if (e instanceof ServiceError) throw e;
+        console.error("OTP Request Error:", e);
+        throw new ServiceError(502, 'Could not send OTP. Please try again.', 'OTP_SEND_FAILED');
+    }
+}
+
+export async function loginWithOtp({ mobile, otp }, req) {
+    await assertNotLockedOut('otp', mobile);
+
+    // The OTP is checked first: only a student who received it learns whether the mobile is registered
+    try {
+        await verifyOtp(mobile, otp);
+    } catch (otpError) {
+        if (otpError instanceof ServiceError) await recordFailure('otp', mobile, { req, mobile, details: { reason: otpError.code } });
+        throw otpError;
+    }
+    await clearFailures('otp', mobile);
+
+    const user = await User.findOne({ mobile });
+    if (!user) throw new ServiceError(404, 'User not found. Check details or Purchase Course.', 'USER_NOT_FOUND');
+
+    return logIn(user, req, 'otp');
+}
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import nodemailer from 'nodemailer';
+
+// Email transports. Each transport is { name, send({ from, to, subject, text, html }) }.
+// Pick one with EMAIL_TRANSPORT (default: console outside production, smtp in production).
+const transports = new Map();
+
+export function registerTransport(name, transport) {
+    transports.set(name, { name, ...transport });
+}
+
+// Local development: print to the server log
+registerTransport('console', {
+    async send({ to, subject, text }) {
+        console.log(`[Email] To ${to}: ${subject}\n${text}`);
+    }
+});
+
+// Local development / automated testing: append to a file (EMAIL_FILE, default emails.log)
+registerTransport('file', {
+    async send({ from, to, subject, text }) {
+        const file = process.env.EMAIL_FILE || 'emails.log';
+        const entry = `--- ${new Date().toISOString()}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n\n`;
+        await fs.promises.appendFile(file, entry);
+    }
+});
+
+// SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465), SMTP_USER, SMTP_PASS
+let smtpClient = null;
+registerTransport('smtp', {
+    async send(message) {
+        if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+
+        if (!smtpClient) {
+            smtpClient = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT || 587),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+        await smtpClient.sendMail(message);
+    }
+});
+
+export function getTransport(name) {
+    const transportName = name || process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const transport = transports.get(transportName);
+    if (!transport) throw new Error(`Unknown email transport "${transportName}"`);
+    return transport;
+}
+
+export function getFromAddress() {
+    return process.env.EMAIL_FROM || 'SCSM <no-reply@localhost>';
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Migration from '../models/Migration.js';
+
+// Data migrations live in migrations/ as numbered modules, run in file name order:
+//
+//   // migrations/003-something.js
+//   export const description = 'What it changes and why';
+//   export async function up({ dryRun, affect }) { ... }
+//
+// `up` must change nothing when `dryRun` is set, call `affect(user, ['what changed', ...])`
+// for every user it changes (or would change), and be safe to run again after a failure.
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+const NAME_PATTERN = /^\d{3}-[a-z0-9-]+\.js$/;
+
+// Affected users kept on the Migration document; the count is always exact
+const MAX_RECORDED_AFFECTED = 5000;
+
+// Every migration in migrations/, oldest first
+export async function loadMigrations() {
+    const files = fs.existsSync(MIGRATIONS_DIR) ? fs.readdirSync(MIGRATIONS_DIR).filter(f => NAME_PATTERN.test(f)).sort() : [];
+
+    const migrations = [];
+    for (const file of files) {
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'function') throw new Error(`Migration ${file} does not export an up() function`);
+        migrations.push({ name: file.replace(/\.js$/, ''), description: module.description, up: module.up });
+    }
+    return migrations;
+}
+
+// Each migration with its recorded run, if any
+export async function getMigrationStatus() {
+    const migrations = await loadMigrations();
+    const runs = await Migration.find({ name: { $in: migrations.map(m => m.name) } }, { affected: 0 });
+    const runByName = new Map(runs.map(r => [r.name, r]));
+
+    return migrations.map(m => {
+        const run = runByName.get(m.name);
+        return {
+            name: m.name,
+            description: m.description,
+            status: run ? run.status : 'PENDING',
+            finishedAt: run?.finishedAt,
+            affectedCount: run?.affectedCount
+        };
+    });
+}
+
+// Migrations that haven't completed (never run, or FAILED)
+export async function listPendingMigrations() {
+    return (await getMigrationStatus()).filter(m => m.status !== 'DONE');
+}
+
+// Take the migration's record for this run: new, or a retry of a FAILED one.
+// Returns null if another process is running it (or a run crashed; see the README).
+async function claim(migration) {
+    try {
+        return await Migration.create({ name: migration.name, description: migration.description, startedAt: new Date() });
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+    }
+    return Migration.findOneAndUpdate(
+        { name: migration.name, status: 'FAILED' },
+        { $set: { status: 'RUNNING', startedAt: new Date(), affected: [], affectedCount: 0 }, $unset: { error: 1, finishedAt: 1 }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+}
+
+// Run every pending migration in order, stopping at the first failure.
+// With `dryRun` nothing is written (not even the migrations collection) and the report lists
+// the users each migration would change.
+// Returns [{ name, description, status, affectedCount, affected, error? }].
+export async function runMigrations({ dryRun = false } = {}) {
+    const pending = new Set((await listPendingMigrations()).map(m => m.name));
+    const migrations = (await loadMigrations()).filter(m => pending.has(m.name));
+
+    const results = [];
+    for (const migration of migrations) {
+        const record = dryRun ? null : await claim(migration);
+        if (!dryRun && !record) {
+            results.push({ name: migration.name, description: migration.description, status: 'LOCKED', affectedCount: 0, affected: [] });
+            break;
+        }
+
+        const affected = [];
+        const affect = (user, changes) => affected.push({ user: user._id, mobile: user.mobile, name: user.name, changes });
+        const result = { name: migration.name, description: migration.description, affected };
+
+        try {
+            await migration.up({ dryRun, affect });
+            result.status = dryRun ? 'DRY_RUN' : 'DONE';
+        } catch (err) {
+            result.status = 'FAILED';
+            result.error = err.message;
+        }
+        result.affectedCount = affected.length;
+
+        if (record) {
+            await Migration.updateOne({ _id: record._id }, {
+                $set: {
+                    status: result.status,
+                    finishedAt: new Date(),
+                    affectedCount: affected.length,
+                    affected: affected.slice(0, MAX_RECORDED_AFFECTED),
+                    ...(result.error ? { error: result.error } : {})
+                }
+            });
+        }
+
+        results.push(result);
+        if (result.status === 'FAILED') break;
+    }
+    return results;
+}
@@ -0,0 +1,204 @@
+import EmailOutbox from '../models/EmailOutbox.js';
+import User from '../models/User.js';
+import { renderTemplate } from './emailTemplates.js';
+import { getTransport, getFromAddress } from './mailer.js';
+import { scheduleJob } from './scheduler.js';
+
+export const OUTBOX_JOB = 'email-outbox';
+export const REMINDER_JOB = 'course-reminders';
+
+// Emails sent per outbox run
+const BATCH_SIZE = 50;
+
+// Wait before retrying after each failed attempt; after the last one the email is marked FAILED
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 180, 720];
+
+// An email stuck in SENDING this long (worker crashed mid-send) is picked up again
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+function getSettings() {
+    return {
+        outboxIntervalSeconds: numberFromEnv('EMAIL_OUTBOX_INTERVAL_SECONDS', 60), // 0 disables retries
+        reminderIntervalMinutes: numberFromEnv('EMAIL_REMINDER_INTERVAL_MINUTES', 60), // 0 disables reminders
+        expiryReminderDays: numberFromEnv('EXPIRY_REMINDER_DAYS', 3),
+        attemptsLowThreshold: numberFromEnv('ATTEMPTS_LOW_THRESHOLD', 3)
+    };
+}
+
+// Take the next due email (or `_id`) for sending; only one worker can claim it
+async function claim(filter = {}) {
+    const now = new Date();
+    return EmailOutbox.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [
+                { status: 'PENDING', nextAttemptAt: { $lte: now } },
+                { status: 'SENDING', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+            ]
+        },
+        { $set: { status: 'SENDING', lockedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+}
+
+// Returns true if the email went out
+async function send(email) {
+    let transportName;
+    try {
+        const transport = getTransport();
+        transportName = transport.name;
+        await transport.send({ from: getFromAddress(), to: email.to, subject: email.subject, text: email.text, html: email.html });
+
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            { $set: { status: 'SENT', sentAt: new Date(), transport: transportName }, $unset: { lockedAt: 1, lastError: 1 } }
+        );
+        return true;
+    } catch (err) {
+        const delay = RETRY_DELAYS_MINUTES[email.attempts - 1];
+        const set = delay == null
+            ? { status: 'FAILED' }
+            : { status: 'PENDING', nextAttemptAt: new Date(Date.now() + delay * 60 * 1000) };
+
+        await EmailOutbox.updateOne(
+            { _id: email._id },
+            { $set: { ...set, lastError: err.message, transport: transportName }, $unset: { lockedAt: 1 } }
+        );
+        console.error(`[Email] ${email.template} to ${email.to} failed (attempt ${email.attempts}${delay == null ? ', giving up' : ''}):`, err.message);
+        return false;
+    }
+}
+
+// Queue `template` (see services/emailTemplates.js) for `to` and try to send it right away.
+// Never fails the caller: the request doesn't wait for the mail server, failed sends are
+// retried by the outbox job and a lost email is only logged.
+// `dedupeKey` makes the call a no-op if an email with the same key was already queued.
+export async function queueEmail(template, { to, data, user, dedupeKey } = {}) {
+    if (!to) return null;
+
+    try {
+        const { subject, text, html } = renderTemplate(template, data);
+        const email = await EmailOutbox.create({ template, to, subject, text, html, user: user?._id, dedupeKey });
+
+        claim({ _id: email._id })
+            .then(claimed => claimed && send(claimed))
+            .catch(err => console.error(`[Email] Failed to send ${template} to ${to}:`, err.message));
+        return email;
+    } catch (err) {
+        if (err.code === 11000) return null; // Already queued
+        console.error(`[Email] Failed to queue ${template} for ${to}:`, err.message);
+        return null;
+    }
+}
+
+// Send emails that are due (new ones whose first send failed, and retries)
+export async function processOutbox({ limit = BATCH_SIZE } = {}) {
+    const result = { sent: 0, failed: 0 };
+    for (let i = 0; i < limit; i++) {
+        const email = await claim();
+        if (!email) break;
+        if (await send(email)) result.sent += 1;
+        else result.failed += 1;
+    }
+    if (result.sent || result.failed) console.log(`[Email] Outbox: ${result.sent} sent, ${result.failed} failed`);
+    return result;
+}
+
+// Receipt for a paid order, plus the welcome email on a student's first purchase
+export async function notifyOrderPaid(order, user) {
+    const to = order.customer?.email || user.email;
+    await queueEmail('receipt', {
+        to,
+        user,
+        dedupeKey: `receipt:${order.orderId}`,
+        data: {
+            name: user.name,
+            orderId: order.orderId,
+            paidAt: order.paidAt,
+            items: order.items,
+            subtotal: order.subtotal,
+            discount: order.coupon?.discount,
+            couponCode: order.coupon?.code,
+            amount: order.amount
+        }
+    });
+
+    const paidCourses = (user.courses || []).filter(c => c.isPaid);
+    const isFirstPurchase = paidCourses.every(c => c.orderId === order.orderId);
+    if (isFirstPurchase) {
+        await queueEmail('welcome', {
+            to: user.email,
+            user,
+            dedupeKey: `welcome:${user._id}`,
+            data: { name: user.name, mobile: user.mobile, courses: paidCourses }
+        });
+    }
+}
+
+// Called after an exam attempt is used up; warns once when the student reaches the threshold
+export async function notifyAttemptsUsed(user, courseEntry) {
+    const { attemptsLowThreshold } = getSettings();
+    if (courseEntry.attemptsLeft !== attemptsLowThreshold) return;
+
+    await queueEmail('attemptsLow', {
+        to: user.email,
+        user,
+        dedupeKey: `attempts-low:${user._id}:${courseEntry.courseId}:${courseEntry.orderId}`,
+        data: {
+            name: user.name,
+            courseName: courseEntry.courseName || courseEntry.courseId,
+            attemptsLeft: courseEntry.attemptsLeft,
+            expiryDate: courseEntry.expiryDate
+        }
+    });
+}
+
+// Queue "expiring soon" emails for courses ending within EXPIRY_REMINDER_DAYS.
+// One email per course and expiry date, so a renewed course gets a new reminder later.
+export async function sendExpiryReminders() {
+    const { expiryReminderDays } = getSettings();
+    const now = new Date();
+    const until = new Date(now.getTime() + expiryReminderDays * 24 * 60 * 60 * 1000);
+    const isExpiringSoon = c => c.isPaid && c.expiryDate > now && c.expiryDate <= until;
+
+    const users = await User.find(
+        { courses: { $elemMatch: { isPaid: true, expiryDate: { $gt: now, $lte: until } } } },
+        'name email mobile courses'
+    );
+
+    let queued = 0;
+    for (const user of users) {
+        for (const course of user.courses.filter(isExpiringSoon)) {
+            const email = await queueEmail('expiringSoon', {
+                to: user.email,
+                user,
+                dedupeKey: `expiring:${user._id}:${course.courseId}:${course.expiryDate.toISOString()}`,
+                data: {
+                    name: user.name,
+                    courseName: course.courseName || course.courseId,
+                    expiryDate: course.expiryDate,
+                    attemptsLeft: course.attemptsLeft
+                }
+            });
+            if (email) queued += 1;
+        }
+    }
+    if (queued > 0) console.log(`[Email] Queued ${queued} expiry reminder(s)`);
+    return { queued };
+}
+
+// Start the outbox and reminder jobs (called once the database is connected)
+export function scheduleNotifications() {
+    const { outboxIntervalSeconds, reminderIntervalMinutes } = getSettings();
+    if (outboxIntervalSeconds > 0) {
+        scheduleJob(OUTBOX_JOB, outboxIntervalSeconds * 1000, () => processOutbox());
+    }
+    if (reminderIntervalMinutes > 0) {
+        scheduleJob(REMINDER_JOB, reminderIntervalMinutes * 60 * 1000, () => sendExpiryReminders(), { delayMs: 60 * 1000 });
+    }
+}
@@ -0,0 +1,68 @@
+import Order from '../models/Order.js';
+
+// Build the order line for a resolved catalog purchase (see catalog.resolvePurchase)
+export function buildOrderItem(purchase) {
+    return {
+        courseId: purchase.course.courseId,
+        type: purchase.type,
+        courseName: purchase.name,
+        price: purchase.amount,
+        validityDays: purchase.validityDays,
+        grants: purchase.grants.map(g => ({
+            courseId: g.id,
+            courseName: g.name,
+            subject: g.subject,
+            attempts: g.attempts
+        }))
+    };
+}
+
+// An order line for the student: what was bought and, once paid, what it did (see Order LINE_STATUSES)
+export function toPublicOrderLine(item) {
+    return {
+        courseId: item.courseId,
+        purchaseType: item.type || 'course',
+        name: item.courseName,
+        price: item.price,
+        courses: item.grants.map(g => g.courseId),
+        status: item.fulfilment?.status,
+        note: item.fulfilment?.note
+    };
+}
+
+export async function createOrderRecord({ orderId, user, center, customer, items, amount, quote, currency = 'INR', gateway = 'cashfree' }) {
+    return Order.create({
+        orderId,
+        user: user?._id,
+        center: center?._id,
+        customer,
+        items,
+        subtotal: items.reduce((sum, item) => sum + item.price, 0),
+        coupon: quote ? { code: quote.coupon.code, discount: quote.discount, state: 'RESERVED' } : undefined,
+        referral: quote ? { user: quote.coupon.referrer?.user, center: quote.coupon.referrer?.center } : undefined,
+        amount,
+        currency,
+        gateway,
+        status: 'CREATED',
+        statusHistory: [{ status: 'CREATED', at: new Date() }]
+    });
+}
+
+// Atomically move an order to `status`, appending to its history.
+// `from` limits which current statuses may transition (the update is skipped otherwise),
+// `set` carries extra fields to write in the same update.
+// Returns the updated order, or null if the order doesn't exist or wasn't in an allowed state.
+export async function updateOrderStatus(orderId, status, { from, note, set = {} } = {}) {
+    const filter = { orderId };
+    if (from) filter.status = { $in: from };
+
+    const now = new Date();
+    return Order.findOneAndUpdate(
+        filter,
+        {
+            $set: { ...set, status },
+            $push: { statusHistory: { status, at: now, note } }
+        },
+        { new: true }
+    );
+}
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+import { getSender } from './senders.js';
+import { ServiceError } from './errors.js';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5; // Wrong codes allowed per OTP before it is burned
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_HOUR = 5;
+
+function hashCode(mobile, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+    return crypto.createHmac('sha256', secret).update(`${mobile}:${code}`).digest('hex');
+}
+
+function generateCode() {
+    return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+}
+
+// Create and send a new OTP for `mobile`, invalidating any earlier unused one. `user` is null
+// for a mobile that isn't registered: the OTP is recorded, so resend limits answer the same as
+// for a student, but never sent.
+export async function requestOtp(mobile, user) {
+    const now = Date.now();
+
+    const recent = await Otp.find({ mobile, createdAt: { $gt: new Date(now - 60 * 60 * 1000) } }).sort({ createdAt: -1 });
+    if (recent.length > 0 && now - recent[0].createdAt.getTime() < RESEND_COOLDOWN_MS) {
+        const waitSeconds = Math.ceil((RESEND_COOLDOWN_MS - (now - recent[0].createdAt.getTime())) / 1000);
+        throw new ServiceError(429, `Please wait ${waitSeconds} seconds before requesting another OTP.`, 'OTP_COOLDOWN');
+    }
+    if (recent.length >= MAX_SENDS_PER_HOUR) {
+        throw new ServiceError(429, 'Too many OTP requests. Please try again after an hour.', 'OTP_RATE_LIMITED');
+    }
+
+    const sender = getSender();
+    const code = generateCode();
+
+    await Otp.updateMany({ mobile, consumedAt: null }, { $set: { consumedAt: new Date() } });
+    await Otp.create({
+        mobile,
+        codeHash: hashCode(mobile, code),
+        expiresAt: new Date(now + OTP_TTL_MS),
+        channel: sender.name
+    });
+
+    if (user) {
+        const minutes = OTP_TTL_MS / 60000;
+        await sender.send({
+            mobile,
+            email: user.email,
+            message: `${code} is your SCSM login OTP. It is valid for ${minutes} minutes. Do not share it with anyone.`
+        });
+    }
+
+    return { expiresInSeconds: OTP_TTL_MS / 1000, channel: sender.name };
+}
+
+// Check `code` against the latest OTP for `mobile` and consume it.
+// Throws ServiceError on a wrong, expired or exhausted code.
+export async function verifyOtp(mobile, code) {
+    const otp = await Otp.findOne({ mobile, consumedAt: null }).sort({ createdAt: -1 });
+
+    if (!otp || otp.expiresAt < new Date()) {
+        throw new ServiceError(401, 'OTP expired or not found. Please request a new OTP.', 'OTP_EXPIRED');
+    }
+    if (otp.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        throw new ServiceError(429, 'Too many wrong attempts. Please request a new OTP.', 'OTP_TOO_MANY_ATTEMPTS');
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(mobile, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        const updated = await Otp.findOneAndUpdate({ _id: otp._id }, { $inc: { failedAttempts: 1 } }, { new: true });
+        const left = MAX_FAILED_ATTEMPTS - updated.failedAttempts;
+        if (left > 0) throw new ServiceError(401, `Incorrect OTP. ${left} attempt(s) left.`, 'OTP_INVALID');
+        throw new ServiceError(401, 'Too many wrong attempts. Please request a new OTP.', 'OTP_TOO_MANY_ATTEMPTS');
+    }
+
+    // Single use: only one concurrent verification can consume it
+    const consumed = await Otp.findOneAndUpdate(
+        { _id: otp._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } }
+    );
+    if (!consumed) throw new ServiceError(401, 'OTP already used. Please request a new OTP.', 'OTP_EXPIRED');
+}
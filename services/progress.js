@@ -0,0 +1,142 @@
+import { ServiceError } from './errors.js';
+
+// The course's modules in completion order, each with its prerequisites resolved.
+// Courses without a module list get modules 1..moduleCount, completed in sequence.
+export function getCourseModules(course) {
+    const defined = course?.modules?.length > 0
+        ? course.modules.map(m => (m.toObject ? m.toObject() : m))
+        : Array.from({ length: course?.moduleCount || 0 }, (_, i) => ({ moduleId: i + 1, title: `Module ${i + 1}`, order: i + 1 }));
+
+    const sorted = [...defined].sort((a, b) => (a.order - b.order) || (a.moduleId - b.moduleId));
+    return sorted.map((module, index) => ({
+        moduleId: module.moduleId,
+        title: module.title,
+        order: module.order,
+        minTimeSeconds: module.minTimeSeconds || 0,
+        prerequisites: module.prerequisites || (index > 0 ? [sorted[index - 1].moduleId] : [])
+    }));
+}
+
+function findModuleProgress(courseEntry, moduleId) {
+    return (courseEntry.moduleProgress || []).find(p => p.moduleId === moduleId);
+}
+
+function isUnlocked(module, completed) {
+    return module.prerequisites.every(id => completed.has(id));
+}
+
+// Per-module status plus totals for GET /api/progress/:courseId
+export function describeProgress(course, courseEntry) {
+    const modules = getCourseModules(course);
+    const completed = new Set(courseEntry.modulesCompleted || []);
+
+    const described = modules.map(module => {
+        const progress = findModuleProgress(courseEntry, module.moduleId);
+        let status = 'locked';
+        if (completed.has(module.moduleId)) status = 'completed';
+        else if (isUnlocked(module, completed)) status = progress?.startedAt ? 'in-progress' : 'unlocked';
+
+        return {
+            moduleId: module.moduleId,
+            title: module.title,
+            order: module.order,
+            minTimeSeconds: module.minTimeSeconds,
+            prerequisites: module.prerequisites,
+            status,
+            startedAt: progress?.startedAt || null,
+            completedAt: progress?.completedAt || null
+        };
+    });
+
+    const completedCount = described.filter(m => m.status === 'completed').length;
+    const nextModule = described.find(m => m.status === 'in-progress' || m.status === 'unlocked') || null;
+
+    return {
+        courseId: courseEntry.courseId,
+        totalModules: described.length,
+        completedCount,
+        percentComplete: described.length ? Math.round((completedCount / described.length) * 100) : 0,
+        nextModule,
+        isComplete: described.length > 0 && completedCount === described.length,
+        modules: described
+    };
+}
+
+function requireModule(modules, moduleId) {
+    const module = modules.find(m => m.moduleId === moduleId);
+    if (!module) throw new ServiceError(400, `Module ${moduleId} is not part of this course`, 'MODULE_NOT_FOUND', { moduleId });
+    return module;
+}
+
+// Start the clock on a module (needed before completing modules with a minimum time).
+// Starting again keeps the first start time. Saves nothing; the caller saves the user.
+export function startModule(course, courseEntry, moduleId) {
+    const modules = getCourseModules(course);
+    const module = requireModule(modules, moduleId);
+    const completed = new Set(courseEntry.modulesCompleted || []);
+
+    if (!completed.has(moduleId) && !isUnlocked(module, completed)) {
+        throw new ServiceError(403, `Complete the earlier modules before starting "${module.title}"`, 'MODULE_LOCKED', { moduleId, prerequisites: module.prerequisites });
+    }
+
+    let progress = findModuleProgress(courseEntry, moduleId);
+    if (!progress) {
+        courseEntry.moduleProgress.push({ moduleId, startedAt: new Date() });
+        progress = findModuleProgress(courseEntry, moduleId);
+    } else if (!progress.startedAt) {
+        progress.startedAt = new Date();
+    }
+    return progress;
+}
+
+// Mark modules completed, in course order. Each one must exist, be unlocked (modules earlier in
+// the same request count) and, with a minimum time, have been started long enough ago.
+// Throws without changing anything if any module fails. Saves nothing; the caller saves the user.
+// A course with no modules in the catalog (neither `modules` nor `moduleCount`) has nothing to
+// check against, so the ids are merged in as sent, as before the catalog had modules.
+// Returns the updated modulesCompleted.
+export function completeModules(course, courseEntry, moduleIds) {
+    const modules = getCourseModules(course);
+    if (modules.length === 0) {
+        courseEntry.modulesCompleted = [...new Set([...(courseEntry.modulesCompleted || []), ...moduleIds])];
+        return courseEntry.modulesCompleted;
+    }
+
+    const completed = new Set(courseEntry.modulesCompleted || []);
+    const now = new Date();
+
+    const requested = [...new Set(moduleIds)].map(id => requireModule(modules, id));
+    requested.sort((a, b) => modules.indexOf(a) - modules.indexOf(b));
+
+    const newlyCompleted = [];
+    for (const module of requested) {
+        if (completed.has(module.moduleId)) continue;
+
+        if (!isUnlocked(module, completed)) {
+            throw new ServiceError(403, `Complete the earlier modules before "${module.title}"`, 'MODULE_LOCKED', { moduleId: module.moduleId, prerequisites: module.prerequisites });
+        }
+
+        if (module.minTimeSeconds > 0) {
+            const startedAt = findModuleProgress(courseEntry, module.moduleId)?.startedAt;
+            if (!startedAt) {
+                throw new ServiceError(409, `Start "${module.title}" before completing it`, 'MODULE_NOT_STARTED', { moduleId: module.moduleId });
+            }
+            const secondsSpent = (now - startedAt) / 1000;
+            if (secondsSpent < module.minTimeSeconds) {
+                const secondsRemaining = Math.ceil(module.minTimeSeconds - secondsSpent);
+                throw new ServiceError(403, `Spend at least ${Math.ceil(module.minTimeSeconds / 60)} minute(s) on "${module.title}" before completing it`, 'MODULE_TIME_NOT_MET', { moduleId: module.moduleId, secondsRemaining });
+            }
+        }
+
+        completed.add(module.moduleId);
+        newlyCompleted.push(module.moduleId);
+    }
+
+    for (const moduleId of newlyCompleted) {
+        const progress = findModuleProgress(courseEntry, moduleId);
+        if (progress) progress.completedAt = now;
+        else courseEntry.moduleProgress.push({ moduleId, completedAt: now });
+    }
+    courseEntry.modulesCompleted = [...(courseEntry.modulesCompleted || []), ...newlyCompleted];
+    return courseEntry.modulesCompleted;
+}
@@ -0,0 +1,91 @@
+import Question, { DIFFICULTIES } from '../models/Question.js';
+import { parseCsvObjects } from '../utils/csv.js';
+import { fillModuleCounts } from './catalog.js';
+
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+// Answer may be given as an option letter ("B") or a 0-based index (1 / "1")
+function parseAnswer(value, optionCount) {
+    const raw = String(value ?? '').trim().toUpperCase();
+    let index = /^[A-J]$/.test(raw) ? OPTION_LETTERS.indexOf(raw) : Number(raw);
+    if (raw === '' || !Number.isInteger(index) || index < 0 || index >= optionCount) return null;
+    return index;
+}
+
+// Normalise one imported record. Throws with a human readable message if invalid.
+function toQuestion(record) {
+    const options = Array.isArray(record.options)
+        ? record.options.map(o => String(o).trim())
+        // CSV: optionA, optionB, ... columns in header order
+        : Object.keys(record).filter(k => /^option/i.test(k)).map(k => record[k]);
+    const filledOptions = options.filter(o => o !== '');
+
+    const subject = String(record.subject || '').trim().toUpperCase();
+    const prompt = String(record.prompt || record.question || '').trim();
+    const difficulty = String(record.difficulty || 'medium').trim().toLowerCase();
+
+    if (!subject) throw new Error('subject is required');
+    if (!prompt) throw new Error('prompt is required');
+    if (filledOptions.length < 2) throw new Error('at least two options are required');
+    if (!DIFFICULTIES.includes(difficulty)) throw new Error(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+
+    const answer = parseAnswer(record.answer, filledOptions.length);
+    if (answer === null) throw new Error('answer must be an option letter or 0-based index');
+
+    const question = {
+        subject,
+        prompt,
+        options: filledOptions,
+        answer,
+        difficulty,
+        marks: record.marks !== undefined && record.marks !== '' ? Number(record.marks) : 1,
+        isActive: record.isActive === undefined || record.isActive === '' ? true : String(record.isActive).toLowerCase() !== 'false'
+    };
+    if (record.module !== undefined && record.module !== '') question.module = Number(record.module);
+    if (record.code) question.code = String(record.code).trim();
+
+    if (!Number.isFinite(question.marks) || question.marks <= 0) throw new Error('marks must be a positive number');
+    if (question.module !== undefined && !Number.isInteger(question.module)) throw new Error('module must be a number');
+
+    return question;
+}
+
+export function parseImport(payload, format) {
+    if (format === 'csv') return parseCsvObjects(payload);
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.questions)) return payload.questions;
+    throw new Error('Expected an array of questions or { questions: [...] }');
+}
+
+// Insert or update (by `code`) a batch of question records.
+// Invalid rows are skipped and reported; valid rows are still imported.
+// `moduleCounts` lists the courses that got their module count from this import (see catalog.fillModuleCounts).
+// With `dryRun` nothing is written and the counts say what the import would do.
+export async function importQuestions(records, { dryRun = false } = {}) {
+    const report = { inserted: 0, updated: 0, errors: [], moduleCounts: [] };
+
+    for (let i = 0; i < records.length; i++) {
+        let question;
+        try {
+            question = toQuestion(records[i]);
+        } catch (err) {
+            report.errors.push({ row: i + 1, message: err.message });
+            continue;
+        }
+
+        if (dryRun) {
+            if (question.code && await Question.exists({ code: question.code })) report.updated += 1;
+            else report.inserted += 1;
+        } else if (question.code) {
+            const result = await Question.updateOne({ code: question.code }, { $set: question }, { upsert: true, runValidators: true });
+            if (result.upsertedCount) report.inserted += 1;
+            else report.updated += 1;
+        } else {
+            await Question.create(question);
+            report.inserted += 1;
+        }
+    }
+
+    if (!dryRun) report.moduleCounts = await fillModuleCounts();
+    return report;
+}
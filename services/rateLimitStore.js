@@ -0,0 +1,97 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+// Counter stores for rate limiting and lockouts. A store implements:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a new window when the old one ended)
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+// Pick one with RATE_LIMIT_STORE: `memory` (default, per process) or `mongo` (shared by every
+// instance, e.g. serverless deployments).
+const stores = new Map();
+
+export function registerStore(name, store) {
+    stores.set(name, store);
+}
+
+export class MemoryStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.counters = new Map();
+        // Drop finished windows now and then so the map doesn't grow forever
+        this.sweeper = setInterval(() => {
+            const now = Date.now();
+            for (const [key, counter] of this.counters) {
+                if (counter.resetAt <= now) this.counters.delete(key);
+            }
+        }, sweepIntervalMs);
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= Date.now()) return null;
+        return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+}
+
+export class MongoStore {
+    async increment(key, windowMs, retried = false) {
+        const now = new Date();
+        // Restart the window if the stored one has ended, otherwise count up
+        let counter;
+        try {
+            counter = await RateLimitCounter.findOneAndUpdate(
+                { key },
+                [{
+                    $set: {
+                        count: { $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true, updatePipeline: true }
+            );
+        } catch (err) {
+            // Two first hits raced on the upsert; the second one just counts up
+            if (err.code === 11000 && !retried) return this.increment(key, windowMs, true);
+            throw err;
+        }
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+
+    async get(key) {
+        const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+        return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    }
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+    }
+}
+
+let defaultStore = null;
+
+export function getStore() {
+    if (!defaultStore) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!stores.has(name)) {
+            if (name === 'memory') registerStore('memory', new MemoryStore());
+            else if (name === 'mongo') registerStore('mongo', new MongoStore());
+            else throw new Error(`Unknown rate limit store "${name}"`);
+        }
+        defaultStore = stores.get(name);
+    }
+    return defaultStore;
+}
@@ -0,0 +1,146 @@
+import Order from '../models/Order.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { getGateway, getConfiguredGatewayNames } from './gateways/index.js';
+import { fulfilOrder } from './fulfilment.js';
+import { updateOrderStatus } from './orders.js';
+import { releaseCouponUse } from './coupons.js';
+import { scheduleJob, runExclusive } from './scheduler.js';
+
+export const RECONCILIATION_JOB = 'reconcile-orders';
+
+// Orders checked per run, oldest first
+const BATCH_SIZE = 200;
+
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+function getSettings() {
+    return {
+        intervalMinutes: numberFromEnv('RECONCILE_INTERVAL_MINUTES', 15), // 0 disables the job
+        minAgeMinutes: numberFromEnv('RECONCILE_MIN_AGE_MINUTES', 10), // Leave orders alone while the student may still be paying
+        expireHours: numberFromEnv('RECONCILE_EXPIRE_HOURS', 24), // Unpaid orders older than this are marked EXPIRED
+        lookbackDays: numberFromEnv('RECONCILE_LOOKBACK_DAYS', 7) // FAILED and EXPIRED orders this recent are re-checked for late payments
+    };
+}
+
+async function expireOrder(orderId, note) {
+    const order = await updateOrderStatus(orderId, 'EXPIRED', { from: ['CREATED', 'PENDING'], note });
+    await releaseCouponUse(order);
+    return order;
+}
+
+// Compare one order with its gateway and fix the database where the gateway is ahead.
+// Returns a report entry, or null when both sides agree and nothing was done.
+async function reconcileOrder(order, settings, now) {
+    // Paid, but granting the courses never finished: no need to ask the gateway again
+    if (order.status === 'PAID') {
+        const { fulfilled } = await fulfilOrder(order.orderId, { note: 'reconciliation' });
+        return { gatewayStatus: 'PAID', action: fulfilled ? 'fulfilled' : 'none', note: fulfilled ? 'paid but not granted' : 'paid but not granted, grant still in progress or user missing' };
+    }
+
+    const isStale = now - order.createdAt > settings.expireHours * 60 * 60 * 1000;
+    // Only re-checked for a late payment
+    const isClosed = order.status === 'FAILED' || order.status === 'EXPIRED';
+
+    let gatewayOrder;
+    try {
+        gatewayOrder = await getGateway(order.gateway).fetchOrder(order);
+    } catch (error) {
+        return { action: 'error', note: error.response?.data?.message || error.message };
+    }
+
+    if (!gatewayOrder) {
+        // Never reached the gateway (e.g. creation failed half-way)
+        if (isClosed || !isStale) return null;
+        await expireOrder(order.orderId, 'reconciliation: not found on gateway');
+        return { gatewayStatus: 'NOT_FOUND', action: 'expired' };
+    }
+
+    const { status, gatewayStatus } = gatewayOrder;
+
+    if (status === 'PAID') {
+        // The browser never came back and the webhook was missed (or the order was marked failed too early)
+        const { fulfilled } = await fulfilOrder(order.orderId, { note: 'reconciliation', gatewayResponse: gatewayOrder.raw });
+        return { gatewayStatus, action: fulfilled ? 'fulfilled' : 'none', note: fulfilled ? undefined : 'paid on gateway, not fulfilled by this run (already fulfilled or user missing)' };
+    }
+
+    if (isClosed) return null;
+
+    if (status === 'EXPIRED') {
+        await expireOrder(order.orderId, `reconciliation: gateway order ${gatewayStatus}`);
+        return { gatewayStatus, action: 'expired' };
+    }
+
+    if (isStale) {
+        // Still payable on the gateway; a late payment is still fulfilled since EXPIRED orders remain payable
+        await expireOrder(order.orderId, `reconciliation: unpaid after ${settings.expireHours}h`);
+        return { gatewayStatus, action: 'expired', note: 'stale' };
+    }
+
+    return null;
+}
+
+// Check unpaid orders against their gateway: fulfil the ones that were paid (including recently
+// failed or expired ones), expire stale ones, finish granting paid orders whose grant was
+// interrupted, and save a report listing every order where gateway and database disagreed.
+export async function reconcileOrders({ trigger = 'scheduled', triggeredBy } = {}) {
+    const settings = getSettings();
+    const now = new Date();
+    const report = new ReconciliationReport({ trigger, triggeredBy, startedAt: now });
+    const lookbackStart = new Date(now - settings.lookbackDays * 24 * 60 * 60 * 1000);
+
+    const orders = await Order.find({
+        gateway: { $in: getConfiguredGatewayNames() },
+        createdAt: { $lt: new Date(now - settings.minAgeMinutes * 60 * 1000) },
+        $or: [
+            { status: { $in: ['CREATED', 'PENDING'] } },
+            { status: 'PAID', fulfilledAt: { $exists: false }, createdAt: { $gt: lookbackStart } },
+            { status: { $in: ['FAILED', 'EXPIRED'] }, createdAt: { $gt: lookbackStart } }
+        ]
+    }).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+
+    for (const order of orders) {
+        report.checked++;
+        const entry = await reconcileOrder(order, settings, now);
+
+        if (!entry) {
+            report.unchanged++;
+            continue;
+        }
+        if (entry.action === 'fulfilled') report.fulfilled++;
+        else if (entry.action === 'expired') report.expired++;
+        else if (entry.action === 'error') report.errored++;
+        else report.unchanged++;
+
+        report.mismatches.push({ orderId: order.orderId, dbStatus: order.status, ...entry });
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    console.log(`[Reconciliation] Checked ${report.checked}: ${report.fulfilled} fulfilled, ${report.expired} expired, ${report.errored} errors`);
+    return report;
+}
+
+// Start the periodic job (called once the database is connected)
+export function scheduleReconciliation() {
+    const { intervalMinutes } = getSettings();
+    if (!(intervalMinutes > 0)) {
+        console.log('[Reconciliation] Disabled (RECONCILE_INTERVAL_MINUTES=0)');
+        return false;
+    }
+    if (getConfiguredGatewayNames().length === 0) {
+        console.warn('[Reconciliation] No payment gateway is configured, job not scheduled');
+        return false;
+    }
+
+    scheduleJob(RECONCILIATION_JOB, intervalMinutes * 60 * 1000, () => reconcileOrders());
+    return true;
+}
+
+// Manual run from the admin API. Returns null if a run is already in progress.
+export function runReconciliationNow(admin) {
+    return runExclusive(RECONCILIATION_JOB, () => reconcileOrders({ trigger: 'manual', triggeredBy: admin?.email }));
+}
@@ -0,0 +1,319 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Order, { REFUND_STATUSES } from '../models/Order.js';
+import { getGateway } from './gateways/index.js';
+import { updateOrderStatus } from './orders.js';
+import { ServiceError } from './errors.js';
+
+const REFUNDABLE_STATUSES = ['PAID', 'PARTIALLY_REFUNDED'];
+
+// Refunds still waiting on the gateway
+const OPEN_REFUND_STATUSES = ['PENDING', 'ONHOLD'];
+
+// Refunds that no longer count against the order amount
+const VOID_REFUND_STATUSES = ['CANCELLED', 'FAILED'];
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function liveRefunds(order) {
+    return order.refunds.filter(r => !VOID_REFUND_STATUSES.includes(r.status));
+}
+
+// Amount still available to refund (requested refunds are reserved until they fail or are cancelled)
+export function refundableAmount(order) {
+    return roundMoney(order.amount - liveRefunds(order).reduce((sum, r) => sum + r.amount, 0));
+}
+
+// What a single granted course is worth on this order: the line price split evenly across
+// the courses it grants (so fttp is half of soft-lang-combo), scaled by any coupon discount.
+function grantValues(order) {
+    const ratio = order.subtotal ? order.amount / order.subtotal : 1;
+    const values = new Map();
+    for (const item of order.items) {
+        const share = item.grants.length ? (item.price / item.grants.length) * ratio : 0;
+        item.grants.forEach(g => values.set(g.courseId, (values.get(g.courseId) || 0) + share));
+    }
+    return values;
+}
+
+// Take back what the renewal / attempt pack lines of `orderId` added to `entry`.
+// Returns true if the order had added anything.
+function reverseAddOns(entry, orderId) {
+    const records = entry.addOns.filter(a => a.orderId === orderId);
+    if (records.length === 0) return false;
+
+    for (const record of records) {
+        if (record.days && entry.expiryDate) {
+            const expiry = new Date(entry.expiryDate);
+            expiry.setDate(expiry.getDate() - record.days);
+            entry.expiryDate = expiry;
+        }
+        if (record.attempts) entry.attemptsLeft = Math.max((entry.attemptsLeft || 0) - record.attempts, 0);
+    }
+    entry.addOns = entry.addOns.filter(a => a.orderId !== orderId);
+    return true;
+}
+
+// When refunding the order that granted `entry`, the time bought with renewals is kept: the
+// course's own validity (`days` from its payment date) runs first, so only what is left of it
+// comes off. Returns the new expiry, or null when no renewal time would be left.
+function renewedUntil(entry, days, now) {
+    if (!entry.addOns.some(a => a.days) || !entry.expiryDate) return null;
+
+    const courseEnd = new Date(entry.paymentDate || now);
+    courseEnd.setDate(courseEnd.getDate() + days);
+    const until = new Date(entry.expiryDate.getTime() - Math.max(courseEnd - now, 0));
+    return until > now ? until : null;
+}
+
+// Revoke (or, with `shortenTo`, cut short) the student's access granted by this order, and
+// take back the validity and attempts its add-on lines gave. Renewals and attempt packs
+// bought on other orders are kept.
+// Entries since re-bought under another order are left alone.
+// Returns what was taken from each entry changed (see Order RefundAccessSchema).
+async function revokeAccess(order, courseIds, { shortenTo } = {}) {
+    if (courseIds.length === 0) return [];
+
+    const user = await User.findById(order.user);
+    if (!user) return [];
+
+    // Validity each course line of this order granted
+    const courseDays = new Map();
+    for (const item of order.items) {
+        if ((item.type || 'course') !== 'course') continue;
+        item.grants.forEach(g => courseDays.set(g.courseId, item.validityDays));
+    }
+
+    const now = new Date();
+    const access = [];
+    for (const entry of user.courses || []) {
+        if (!courseIds.includes(entry.courseId)) continue;
+        const before = { expiryDate: entry.expiryDate, attemptsLeft: entry.attemptsLeft || 0, isPaid: entry.isPaid };
+        const addOns = entry.addOns.filter(a => a.orderId === order.orderId).map(a => a.toObject());
+        let touched = reverseAddOns(entry, order.orderId);
+
+        if (entry.orderId === order.orderId && courseDays.has(entry.courseId)) {
+            const until = renewedUntil(entry, courseDays.get(entry.courseId), now);
+            if (shortenTo) {
+                const limit = until && until > shortenTo ? until : shortenTo;
+                if (!entry.expiryDate || entry.expiryDate > limit) entry.expiryDate = limit;
+            } else if (until) {
+                // Only the attempts bought with packs stay
+                const packAttempts = entry.addOns.reduce((sum, a) => sum + (a.attempts || 0), 0);
+                entry.expiryDate = until;
+                entry.attemptsLeft = Math.min(entry.attemptsLeft || 0, packAttempts);
+            } else {
+                entry.isPaid = false;
+                entry.expiryDate = now;
+                entry.refundedAt = now;
+            }
+            touched = true;
+        }
+        if (!touched) continue;
+
+        access.push({
+            courseId: entry.courseId,
+            entryOrderId: entry.orderId,
+            expiryMs: before.expiryDate && entry.expiryDate ? Math.max(before.expiryDate - entry.expiryDate, 0) : 0,
+            attempts: before.attemptsLeft - (entry.attemptsLeft || 0),
+            revoked: before.isPaid && !entry.isPaid,
+            addOns
+        });
+    }
+
+    if (access.length > 0) await user.save();
+    return access;
+}
+
+// Give back what revokeAccess took for a refund the gateway cancelled or failed. Time and
+// attempts are added back to what the entry has now, so anything bought since is kept.
+// Entries since re-bought under another order are left alone. Returns the courseIds restored.
+async function restoreAccess(order, access) {
+    if (access.length === 0) return [];
+
+    const user = await User.findById(order.user);
+    if (!user) return [];
+
+    const restored = [];
+    for (const record of access) {
+        const entry = user.courses.find(c => c.courseId === record.courseId && c.orderId === record.entryOrderId);
+        if (!entry) continue;
+
+        if (record.expiryMs && entry.expiryDate) entry.expiryDate = new Date(entry.expiryDate.getTime() + record.expiryMs);
+        if (record.attempts) entry.attemptsLeft = (entry.attemptsLeft || 0) + record.attempts;
+        if (record.revoked) {
+            entry.isPaid = true;
+            entry.refundedAt = undefined;
+        }
+        entry.addOns.push(...record.addOns);
+        restored.push(record.courseId);
+    }
+
+    if (restored.length > 0) await user.save();
+    return restored;
+}
+
+// Refund an order through its payment gateway and take back the access it paid for.
+// - no courseIds, no amount: full refund of what's left, every remaining course revoked
+// - courseIds: refund those courses' share (e.g. one half of a bundle) and revoke just them
+// - amount only: goodwill refund, access untouched
+// `amount` overrides the computed share; `shortenTo` shortens access instead of revoking it.
+export async function initiateRefund(orderId, { courseIds, amount, reason, shortenTo, requestedBy } = {}) {
+    const order = await Order.findOne({ orderId });
+    if (!order) throw new ServiceError(404, 'Order not found', 'ORDER_NOT_FOUND');
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new ServiceError(409, `Only paid orders can be refunded (order is ${order.status})`, 'ORDER_NOT_REFUNDABLE');
+    }
+    const gateway = getGateway(order.gateway);
+    if (!gateway.isConfigured()) throw new ServiceError(400, `The ${order.gateway} gateway is not configured`, 'GATEWAY_NOT_CONFIGURED');
+
+    const values = grantValues(order);
+    const alreadyRefunded = new Set(liveRefunds(order).flatMap(r => r.courseIds));
+    const remainingCourses = [...values.keys()].filter(id => !alreadyRefunded.has(id));
+
+    let targets;
+    if (courseIds && courseIds.length > 0) {
+        targets = [...new Set(courseIds.map(String))];
+        const unknown = targets.filter(id => !values.has(id));
+        if (unknown.length > 0) throw new ServiceError(400, `Not on this order: ${unknown.join(', ')}`, 'REFUND_COURSE_NOT_ON_ORDER');
+        const repeated = targets.filter(id => alreadyRefunded.has(id));
+        if (repeated.length > 0) throw new ServiceError(409, `Already refunded: ${repeated.join(', ')}`, 'REFUND_ALREADY_REFUNDED');
+    } else {
+        targets = amount == null ? remainingCourses : [];
+    }
+
+    const refundable = refundableAmount(order);
+    let refundAmount;
+    if (amount != null) {
+        refundAmount = roundMoney(Number(amount));
+    } else if (targets.length === remainingCourses.length) {
+        refundAmount = refundable; // Full refund: avoid leaving rounding pennies behind
+    } else {
+        refundAmount = roundMoney(targets.reduce((sum, id) => sum + values.get(id), 0));
+    }
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) throw new ServiceError(400, 'Refund amount must be greater than 0', 'REFUND_INVALID_AMOUNT');
+    if (refundAmount > refundable) throw new ServiceError(400, `Refund amount exceeds the refundable ${refundable}`, 'REFUND_INVALID_AMOUNT');
+
+    let shortenDate;
+    if (shortenTo) {
+        shortenDate = new Date(shortenTo);
+        if (isNaN(shortenDate.getTime())) throw new ServiceError(400, 'shortenTo must be a valid date', 'VALIDATION_FAILED');
+    }
+
+    const refund = {
+        refundId: `REFUND_${Date.now()}_${crypto.randomInt(1000)}`,
+        amount: refundAmount,
+        courseIds: targets,
+        reason,
+        status: 'PENDING',
+        requestedBy,
+        requestedAt: new Date()
+    };
+
+    // Reserve the refund on the order first; the $size guard turns a concurrent request into a 409
+    const reserved = await Order.findOneAndUpdate(
+        { orderId, status: { $in: REFUNDABLE_STATUSES }, refunds: { $size: order.refunds.length } },
+        { $push: { refunds: refund } },
+        { new: true }
+    );
+    if (!reserved) throw new ServiceError(409, 'Order changed while refunding, please retry', 'ORDER_CHANGED');
+
+    let gatewayRefund;
+    try {
+        gatewayRefund = await gateway.createRefund(reserved, {
+            refundId: refund.refundId,
+            amount: refund.amount,
+            note: reason ? String(reason).slice(0, 100) : undefined
+        });
+    } catch (error) {
+        const details = error.response?.data;
+        await Order.updateOne(
+            { orderId, 'refunds.refundId': refund.refundId },
+            { $set: { 'refunds.$.status': 'FAILED', 'refunds.$.processedAt': new Date(), 'refunds.$.gatewayResponse': details } }
+        );
+        console.error(`[Refund] ${gateway.name} refused refund for ${orderId}:`, details || error.message);
+        throw new ServiceError(502, details?.message || details?.error?.description || (error.response ? 'Gateway refund request failed' : error.message), 'REFUND_GATEWAY_ERROR');
+    }
+
+    await Order.updateOne(
+        { orderId, 'refunds.refundId': refund.refundId },
+        { $set: { 'refunds.$.gatewayRefundId': gatewayRefund.gatewayRefundId, 'refunds.$.gatewayResponse': gatewayRefund.raw } }
+    );
+
+    const access = await revokeAccess(reserved, targets, { shortenTo: shortenDate });
+    const revoked = access.map(a => a.courseId);
+    // Kept for the gateway cancelling or failing the refund later. If it already has (its
+    // webhook came in meanwhile), the access goes straight back.
+    const recorded = await Order.updateOne(
+        { orderId, refunds: { $elemMatch: { refundId: refund.refundId, status: { $nin: VOID_REFUND_STATUSES } } } },
+        { $set: { 'refunds.$.access': access } }
+    );
+    if (recorded.matchedCount === 0) await restoreAccess(reserved, access);
+    console.log(`[Refund] ${refund.refundId} of ${refund.amount} requested for ${orderId}, access changed: ${revoked.join(', ') || 'none'}`);
+
+    const updated = await applyRefundStatus(orderId, gatewayRefund, { note: 'refund request' });
+    return { order: updated || await Order.findOne({ orderId }), refund: { ...refund, gatewayRefundId: gatewayRefund.gatewayRefundId }, revoked };
+}
+
+// Apply a refund status reported by the gateway (refund API response, webhook or poll),
+// as returned by the gateway's createRefund / fetchRefund / parseWebhook.
+// Each refund moves out of PENDING/ONHOLD at most once, so repeated deliveries are no-ops.
+// Returns the updated order, or null if nothing changed.
+export async function applyRefundStatus(orderId, gatewayRefund, { note } = {}) {
+    const { refundId, status } = gatewayRefund || {};
+    if (!refundId || !REFUND_STATUSES.includes(status)) return null;
+
+    const set = { 'refunds.$.status': status, 'refunds.$.gatewayResponse': gatewayRefund.raw };
+    if (gatewayRefund.gatewayRefundId) set['refunds.$.gatewayRefundId'] = gatewayRefund.gatewayRefundId;
+    if (!OPEN_REFUND_STATUSES.includes(status)) set['refunds.$.processedAt'] = new Date();
+
+    const order = await Order.findOneAndUpdate(
+        { orderId, refunds: { $elemMatch: { refundId, status: { $in: OPEN_REFUND_STATUSES, $ne: status } } } },
+        { $set: set },
+        { new: true }
+    );
+    if (!order) return null;
+
+    if (VOID_REFUND_STATUSES.includes(status)) {
+        // No money goes back, so the student gets back the access the refund took
+        const refund = order.refunds.find(r => r.refundId === refundId);
+        const restored = await restoreAccess(order, refund.access);
+        if (restored.length > 0) {
+            await Order.updateOne({ orderId, 'refunds.refundId': refundId }, { $set: { 'refunds.$.accessRestoredAt': new Date() } });
+        }
+        console.warn(`[Refund] ${refundId} for ${orderId} was ${status.toLowerCase()} by the gateway, access restored: ${restored.join(', ') || 'none'}`);
+        return order;
+    }
+    if (status !== 'SUCCESS') return order;
+
+    const refundedAmount = roundMoney(order.refunds.filter(r => r.status === 'SUCCESS').reduce((sum, r) => sum + r.amount, 0));
+    const nextStatus = refundedAmount >= order.amount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+    const updated = await updateOrderStatus(orderId, nextStatus, {
+        from: REFUNDABLE_STATUSES,
+        note: `${refundId} ${note || ''}`.trim(),
+        set: { refundedAmount }
+    });
+    console.log(`[Refund] ${refundId} for ${orderId} succeeded, order is ${nextStatus}`);
+    return updated || order;
+}
+
+// Poll the gateway for every refund on the order still waiting on it
+export async function syncRefunds(orderId) {
+    const order = await Order.findOne({ orderId });
+    if (!order) throw new ServiceError(404, 'Order not found', 'ORDER_NOT_FOUND');
+
+    const gateway = getGateway(order.gateway);
+    const open = order.refunds.filter(r => OPEN_REFUND_STATUSES.includes(r.status));
+    const results = [];
+    for (const refund of open) {
+        const gatewayRefund = await gateway.fetchRefund(order, refund);
+        const changed = await applyRefundStatus(orderId, gatewayRefund, { note: 'sync' });
+        results.push({ refundId: refund.refundId, status: gatewayRefund.status, changed: Boolean(changed) });
+    }
+
+    return { order: await Order.findOne({ orderId }), results };
+}
@@ -0,0 +1,254 @@
+import Order, { ORDER_STATUSES } from '../models/Order.js';
+import Center from '../models/Center.js';
+import { getCourseMap } from './catalog.js';
+import { normalizeCenterCode } from './centers.js';
+import { ServiceError } from './errors.js';
+
+export const REPORT_GROUPS = ['course', 'center', 'period', 'status'];
+export const REPORT_PERIODS = ['day', 'week', 'month'];
+
+// Orders that brought in money; refunds are subtracted in the `net` column
+export const SOLD_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const METRICS = ['orders', 'units', 'gross', 'discount', 'revenue', 'refunded', 'net'];
+
+// Days and periods are cut in this timezone
+function getTimezone() {
+    return process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function timezoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+    return Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second) - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Midnight at the start of `day` (YYYY-MM-DD) in the report timezone
+function startOfDay(day) {
+    const utcMidnight = new Date(`${day}T00:00:00Z`);
+    if (isNaN(utcMidnight.getTime())) throw new ServiceError(400, `Invalid date ${day}`, 'VALIDATION_FAILED');
+    return new Date(utcMidnight.getTime() - timezoneOffset(utcMidnight, getTimezone()));
+}
+
+// YYYY-MM-DD of `date` in the report timezone
+function formatDay(date) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: getTimezone(), year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function listParam(value, allowed, name) {
+    if (!value) return null;
+    const list = [...new Set(String(value).split(',').map(v => v.trim()).filter(Boolean))];
+    const unknown = list.filter(v => !allowed.includes(v));
+    if (unknown.length > 0) {
+        throw new ServiceError(400, `Unknown ${name}: ${unknown.join(', ')} (use ${allowed.join(', ')})`, 'VALIDATION_FAILED');
+    }
+    return list;
+}
+
+// Normalise report options from query parameters.
+// `from` / `to` are days (YYYY-MM-DD, `to` inclusive); default: this month so far.
+// `center` is a center code; `centerId` (a center admin's own center) takes precedence.
+export async function resolveReportOptions({ from, to, groupBy, period, status, center, centerId, courseId }) {
+    const today = formatDay(new Date());
+    const fromDay = from || `${today.slice(0, 7)}-01`;
+    const toDay = to || today;
+
+    const start = startOfDay(fromDay);
+    const end = startOfDay(toDay);
+    end.setUTCDate(end.getUTCDate() + 1);
+    if (end <= start) throw new ServiceError(400, '`to` must not be before `from`', 'VALIDATION_FAILED');
+
+    let centerDoc = null;
+    if (centerId || center) {
+        centerDoc = centerId ? await Center.findById(centerId) : await Center.findOne({ code: normalizeCenterCode(center) });
+        if (!centerDoc) throw new ServiceError(404, 'Center not found', 'CENTER_NOT_FOUND');
+    }
+
+    return {
+        fromDay,
+        toDay,
+        start,
+        end,
+        groupBy: listParam(groupBy, REPORT_GROUPS, 'groupBy') || ['course'],
+        period: period || 'day',
+        statuses: listParam(status, ORDER_STATUSES, 'status') || SOLD_STATUSES,
+        center: centerDoc,
+        courseId: courseId || null,
+        timezone: getTimezone()
+    };
+}
+
+// One row per order line (an order for a bundle is one line), dated by payment
+// (or creation, for orders never paid). Discounts and refunds are split across an
+// order's lines in proportion to their price.
+function linePipeline(options) {
+    const match = {
+        status: { $in: options.statuses },
+        $or: [
+            { paidAt: { $gte: options.start, $lt: options.end } },
+            { paidAt: null, createdAt: { $gte: options.start, $lt: options.end } }
+        ]
+    };
+    if (options.center) match.center = options.center._id;
+    if (options.courseId) match['items.courseId'] = options.courseId;
+
+    const pipeline = [
+        { $match: match },
+        { $unwind: '$items' }
+    ];
+    if (options.courseId) pipeline.push({ $match: { 'items.courseId': options.courseId } });
+
+    pipeline.push({
+        $addFields: {
+            reportDate: { $ifNull: ['$paidAt', '$createdAt'] },
+            lineShare: { $cond: [{ $gt: ['$subtotal', 0] }, { $divide: ['$items.price', '$subtotal'] }, 1] }
+        }
+    });
+    return pipeline;
+}
+
+function metricAccumulators() {
+    return {
+        orderIds: { $addToSet: '$_id' },
+        units: { $sum: 1 },
+        gross: { $sum: '$items.price' },
+        discount: { $sum: { $multiply: [{ $ifNull: ['$coupon.discount', 0] }, '$lineShare'] } },
+        revenue: { $sum: { $multiply: ['$amount', '$lineShare'] } },
+        refunded: { $sum: { $multiply: [{ $ifNull: ['$refundedAmount', 0] }, '$lineShare'] } }
+    };
+}
+
+function toMetrics(group) {
+    const revenue = roundMoney(group.revenue);
+    const refunded = roundMoney(group.refunded);
+    return {
+        orders: group.orderIds.length,
+        units: group.units,
+        gross: roundMoney(group.gross),
+        discount: roundMoney(group.discount),
+        revenue,
+        refunded,
+        net: roundMoney(revenue - refunded)
+    };
+}
+
+function formatPeriod(date, period) {
+    const day = formatDay(date);
+    return period === 'month' ? day.slice(0, 7) : day; // Weeks are labelled by their Monday
+}
+
+// Sales aggregated by options.groupBy, plus overall totals
+export async function buildSalesReport(options) {
+    const key = {};
+    if (options.groupBy.includes('course')) key.course = '$items.courseId';
+    if (options.groupBy.includes('center')) key.center = '$center';
+    if (options.groupBy.includes('status')) key.status = '$status';
+    if (options.groupBy.includes('period')) {
+        key.period = { $dateTrunc: { date: '$reportDate', unit: options.period, timezone: options.timezone } };
+        if (options.period === 'week') key.period.$dateTrunc.startOfWeek = 'monday';
+    }
+
+    const [groups, totals] = await Promise.all([
+        Order.aggregate([...linePipeline(options), { $group: { _id: key, ...metricAccumulators() } }]),
+        Order.aggregate([...linePipeline(options), { $group: { _id: null, ...metricAccumulators() } }])
+    ]);
+
+    const courseMap = await getCourseMap(groups.map(g => g._id.course).filter(Boolean));
+    const centerIds = groups.map(g => g._id.center).filter(Boolean);
+    const centers = centerIds.length > 0 ? await Center.find({ _id: { $in: centerIds } }, 'code name') : [];
+    const centerMap = new Map(centers.map(c => [String(c._id), c]));
+
+    const rows = groups.map(g => {
+        const row = {};
+        if ('period' in key) row.period = formatPeriod(g._id.period, options.period);
+        if ('course' in key) {
+            row.courseId = g._id.course;
+            row.courseName = courseMap.get(g._id.course)?.name || g._id.course;
+        }
+        if ('center' in key) {
+            const center = g._id.center ? centerMap.get(String(g._id.center)) : null;
+            row.centerCode = center?.code || null;
+            row.centerName = g._id.center ? center?.name || null : 'Online'; // No center: sold online
+        }
+        if ('status' in key) row.status = g._id.status;
+        return { ...row, ...toMetrics(g) };
+    });
+
+    rows.sort((a, b) => String(a.period || '').localeCompare(String(b.period || '')) || b.revenue - a.revenue);
+
+    return {
+        from: options.fromDay,
+        to: options.toDay,
+        timezone: options.timezone,
+        groupBy: options.groupBy,
+        period: options.groupBy.includes('period') ? options.period : undefined,
+        statuses: options.statuses,
+        center: options.center ? { code: options.center.code, name: options.center.name } : undefined,
+        courseId: options.courseId || undefined,
+        totals: totals[0] ? toMetrics(totals[0]) : Object.fromEntries(METRICS.map(m => [m, 0])),
+        rows
+    };
+}
+
+// Column order for a sales report CSV
+export function salesReportColumns(report) {
+    const columns = [];
+    if (report.groupBy.includes('period')) columns.push('period');
+    if (report.groupBy.includes('course')) columns.push('courseId', 'courseName');
+    if (report.groupBy.includes('center')) columns.push('centerCode', 'centerName');
+    if (report.groupBy.includes('status')) columns.push('status');
+    return [...columns, ...METRICS];
+}
+
+// Every order line in the report window, oldest first, as a cursor for streaming exports
+export function orderLinesCursor(options) {
+    return Order.aggregate([
+        ...linePipeline(options),
+        { $sort: { reportDate: 1, orderId: 1 } },
+        {
+            $project: {
+                _id: 0,
+                orderId: 1,
+                date: '$reportDate',
+                status: 1,
+                customerName: '$customer.name',
+                customerMobile: '$customer.mobile',
+                customerEmail: '$customer.email',
+                center: 1,
+                courseId: '$items.courseId',
+                courseName: '$items.courseName',
+                purchaseType: { $ifNull: ['$items.type', 'course'] },
+                price: '$items.price',
+                couponCode: '$coupon.code',
+                discount: { $multiply: [{ $ifNull: ['$coupon.discount', 0] }, '$lineShare'] },
+                amount: { $multiply: ['$amount', '$lineShare'] },
+                refunded: { $multiply: [{ $ifNull: ['$refundedAmount', 0] }, '$lineShare'] },
+                gateway: 1
+            }
+        }
+    ]).cursor({ batchSize: 500 });
+}
+
+export const ORDER_LINE_COLUMNS = [
+    'orderId', 'date', 'status', 'customerName', 'customerMobile', 'customerEmail', 'centerCode',
+    'courseId', 'courseName', 'purchaseType', 'price', 'couponCode', 'discount', 'amount', 'refunded', 'gateway'
+];
+
+// Shape a line from orderLinesCursor for CSV output
+export function toOrderLineRow(line, centerMap) {
+    return {
+        ...line,
+        date: formatDay(line.date),
+        centerCode: line.center ? centerMap.get(String(line.center))?.code || '' : '',
+        discount: roundMoney(line.discount),
+        amount: roundMoney(line.amount),
+        refunded: roundMoney(line.refunded)
+    };
+}
@@ -0,0 +1,61 @@
+// Minimal in-process job scheduler. A job never overlaps itself (scheduled or manual runs)
+// and scheduled runs never throw into the event loop. Timers are unref'd so they don't keep
+// the process alive.
+const jobs = new Map();
+const running = new Set();
+
+// Run `fn` as job `name` unless a run of that job is already in progress (then returns null).
+// Errors propagate to the caller.
+export async function runExclusive(name, fn) {
+    if (running.has(name)) return null;
+    running.add(name);
+    try {
+        return await fn();
+    } finally {
+        running.delete(name);
+    }
+}
+
+async function tick(job) {
+    job.lastRunAt = new Date();
+    try {
+        const result = await runExclusive(job.name, job.fn);
+        if (result === null) console.warn(`[Scheduler] ${job.name} still running, skipped a tick`);
+        job.lastError = null;
+    } catch (err) {
+        job.lastError = err.message;
+        console.error(`[Scheduler] ${job.name} failed:`, err.message);
+    }
+}
+
+// Register `fn` to run every `intervalMs`. `delayMs` postpones the first run (default: one interval).
+export function scheduleJob(name, intervalMs, fn, { delayMs = intervalMs } = {}) {
+    if (jobs.has(name)) throw new Error(`Job ${name} is already scheduled`);
+    if (!(intervalMs > 0)) throw new Error(`Job ${name} needs a positive interval`);
+
+    const job = { name, intervalMs, fn, lastRunAt: null, lastError: null };
+    const next = (delay) => {
+        job.timer = setTimeout(async () => {
+            await tick(job);
+            if (jobs.get(name) === job) next(intervalMs); // Unless cancelled meanwhile
+        }, delay);
+        job.timer.unref();
+    };
+
+    jobs.set(name, job);
+    next(delayMs);
+    console.log(`[Scheduler] ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+}
+
+export function cancelJob(name) {
+    const job = jobs.get(name);
+    if (!job) return;
+    clearTimeout(job.timer);
+    jobs.delete(name);
+}
+
+export function listJobs() {
+    return [...jobs.values()].map(({ name, intervalMs, lastRunAt, lastError }) => ({
+        name, intervalMs, running: running.has(name), lastRunAt, lastError
+    }));
+}
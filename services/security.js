@@ -0,0 +1,19 @@
+import SecurityEvent from '../models/SecurityEvent.js';
+
+// Record suspicious activity. Never fails the request: a lost event is logged instead.
+export async function recordSecurityEvent(type, { req, mobile, user, details } = {}) {
+    const ip = req?.ip;
+    try {
+        await SecurityEvent.create({
+            type,
+            ip,
+            userAgent: req?.get('user-agent'),
+            mobile: mobile != null ? String(mobile) : undefined,
+            user: user?._id,
+            details
+        });
+    } catch (err) {
+        console.error(`[Security] Failed to record ${type}:`, err.message);
+    }
+    console.warn(`[Security] ${type} ip=${ip ?? '-'} mobile=${mobile ?? '-'}`);
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import axios from 'axios';
+import { getTransport, getFromAddress } from './mailer.js';
+
+// Message senders used for OTPs. Each sender is { name, send({ mobile, email, message }) }.
+// Pick one with OTP_SENDER (default: console outside production, sms in production).
+const senders = new Map();
+
+export function registerSender(name, sender) {
+    senders.set(name, { name, ...sender });
+}
+
+// Local development: print to the server log
+registerSender('console', {
+    async send({ mobile, message }) {
+        console.log(`[OTP] To ${mobile}: ${message}`);
+    }
+});
+
+// Local development / automated testing: append to a file (OTP_FILE, default otp.log)
+registerSender('file', {
+    async send({ mobile, message }) {
+        const file = process.env.OTP_FILE || 'otp.log';
+        const line = `${new Date().toISOString()}\t${mobile}\t${message}\n`;
+        await fs.promises.appendFile(file, line);
+    }
+});
+
+// Generic HTTP SMS gateway: POSTs { to, message } to SMS_API_URL with SMS_API_KEY as a bearer token
+registerSender('sms', {
+    async send({ mobile, message }) {
+        const url = process.env.SMS_API_URL;
+        if (!url) throw new Error('SMS_API_URL is not configured');
+
+        await axios.post(url, { to: mobile, message, sender: process.env.SMS_SENDER_ID }, {
+            headers: process.env.SMS_API_KEY ? { Authorization: `Bearer ${process.env.SMS_API_KEY}` } : {},
+            timeout: 10000
+        });
+    }
+});
+
+// The student's email, through the EMAIL_TRANSPORT of services/mailer.js
+registerSender('email', {
+    async send({ email, message }) {
+        if (!email) throw new Error('Student has no email address');
+
+        await getTransport().send({ from: getFromAddress(), to: email, subject: 'Your SCSM login OTP', text: message });
+    }
+});
+
+export function getSender(name) {
+    const senderName = name || process.env.OTP_SENDER || (process.env.NODE_ENV === 'production' ? 'sms' : 'console');
+    const sender = senders.get(senderName);
+    if (!sender) throw new Error(`Unknown OTP sender "${senderName}"`);
+    return sender;
+}
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { getCourseMap } from './catalog.js';
+import { ServiceError } from './errors.js';
+import { recordSecurityEvent } from './security.js';
+
+// A refresh token presented again within this window after rotation is treated as a
+// race between two tabs rather than theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+// lastSeenAt is only written when older than this, to keep verifyToken cheap
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function getSettings() {
+    return {
+        accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+        refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS || 30),
+        defaultMaxSessions: Number(process.env.DEFAULT_MAX_SESSIONS || 2)
+    };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashesMatch(a, b) {
+    if (!a || !b) return false;
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Refresh tokens are `<sessionId>.<secret>` so the session can be found without a hash index
+function newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function refreshExpiry() {
+    const expiry = new Date();
+    expiry.setDate(expiry.getDate() + getSettings().refreshTokenDays);
+    return expiry;
+}
+
+function signAccessToken(user, session) {
+    return jwt.sign(
+        { _id: user._id, mobile: user.mobile, name: user.name, sid: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: getSettings().accessTokenTtl }
+    );
+}
+
+function activeFilter(userId) {
+    return { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+}
+
+// Devices the student may use at once: the most generous limit among their active courses
+export async function getSessionLimit(user) {
+    const { defaultMaxSessions } = getSettings();
+    const now = new Date();
+    const active = (user.courses || []).filter(c => c.isPaid && new Date(c.expiryDate) > now);
+    if (active.length === 0) return defaultMaxSessions;
+
+    const courseMap = await getCourseMap(active.map(c => c.courseId));
+    return Math.max(...active.map(c => courseMap.get(c.courseId)?.maxSessions || defaultMaxSessions));
+}
+
+// Device details for a new session, taken from the login request
+export function describeClient(req) {
+    return { userAgent: req.get('user-agent'), ip: req.ip, deviceName: req.body?.deviceName };
+}
+
+// Log `user` in on a new device. Over the session limit, the least recently used
+// sessions are logged out. Returns { token, refreshToken, expiresIn, sessionId, loggedOutSessions }.
+export async function startSession(user, { userAgent, ip, deviceName } = {}) {
+    const session = new Session({
+        user: user._id,
+        device: { name: deviceName ? String(deviceName).slice(0, 100) : undefined, userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined },
+        ip,
+        expiresAt: refreshExpiry()
+    });
+    const refreshToken = newRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    // The pre-session single-device token stops working once the student logs in again
+    if (user.sessionToken) await User.updateOne({ _id: user._id }, { $unset: { sessionToken: 1 } });
+
+    const limit = await getSessionLimit(user);
+    const overflow = await Session.find(activeFilter(user._id), '_id').sort({ lastSeenAt: -1 }).skip(limit);
+    if (overflow.length > 0) {
+        await Session.updateMany(
+            { _id: { $in: overflow.map(s => s._id) }, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'session-limit' } }
+        );
+        console.log(`[Sessions] ${user.mobile} over ${limit} device(s), logged out ${overflow.length} older session(s)`);
+    }
+
+    return {
+        token: signAccessToken(user, session),
+        refreshToken,
+        expiresIn: getSettings().accessTokenTtl,
+        sessionId: session._id,
+        loggedOutSessions: overflow.length
+    };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Reusing a rotated-out token (outside the grace window) logs the session out, since
+// it means the token was copied.
+export async function refreshSession(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) throw new ServiceError(401, 'Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw new ServiceError(401, 'Session expired. Please login again.', 'SESSION_EXPIRED');
+    }
+
+    const presented = hashToken(refreshToken);
+    if (!hashesMatch(presented, session.refreshTokenHash)) {
+        if (hashesMatch(presented, session.previousRefreshTokenHash)) {
+            if (session.rotatedAt && Date.now() - session.rotatedAt < REUSE_GRACE_MS) {
+                throw new ServiceError(409, 'Token was just refreshed, use the newer one', 'REFRESH_TOKEN_ROTATED');
+            }
+            await revokeSession(session._id, session.user, 'refresh-token-reuse');
+            await recordSecurityEvent('session.refresh-token-reuse', { user: { _id: session.user }, details: { sessionId: session._id } });
+        }
+        throw new ServiceError(401, 'Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) throw new ServiceError(401, 'User not found.', 'USER_NOT_FOUND');
+
+    const nextToken = newRefreshToken(session._id);
+    const now = new Date();
+
+    // Only one concurrent refresh may rotate the token
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextToken),
+                previousRefreshTokenHash: session.refreshTokenHash,
+                rotatedAt: now,
+                lastSeenAt: now,
+                expiresAt: refreshExpiry()
+            }
+        },
+        { new: true }
+    );
+    if (!rotated) throw new ServiceError(409, 'Token was just refreshed, use the newer one', 'REFRESH_TOKEN_ROTATED');
+
+    return {
+        token: signAccessToken(user, rotated),
+        refreshToken: nextToken,
+        expiresIn: getSettings().accessTokenTtl,
+        sessionId: rotated._id
+    };
+}
+
+// The live session behind an access token, or null if it was logged out or has expired
+export async function findActiveSession(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, ...activeFilter(userId) });
+    if (session && Date.now() - session.lastSeenAt > TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+    return session;
+}
+
+export async function listSessions(userId) {
+    return Session.find(activeFilter(userId)).sort({ lastSeenAt: -1 });
+}
+
+// Returns true if an active session was revoked
+export async function revokeSession(sessionId, userId, reason = 'revoked') {
+    const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+}
+
+// Log a student out everywhere (optionally keeping one session). Returns the number revoked.
+export async function revokeUserSessions(userId, { except, reason = 'revoked' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+}
+
+export function toPublicSession(session, currentSessionId) {
+    return {
+        sessionId: session._id,
+        current: currentSessionId != null && String(session._id) === String(currentSessionId),
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt
+    };
+}
@@ -0,0 +1,53 @@
+import Order from '../models/Order.js';
+import { fulfilOrder, failOrder } from './fulfilment.js';
+import { applyRefundStatus } from './refunds.js';
+import { ServiceError } from './errors.js';
+
+// Apply an event parsed (and signature-checked) by `gateway`.parseWebhook. Events are only
+// applied to orders placed with that gateway; orders from before the ledger are Cashfree.
+// Returns what was done: 'fulfilled', 'failed', 'refund' or 'ignored'.
+// Throws ServiceError(400) GATEWAY_MISMATCH for an order placed with another gateway.
+export async function handleWebhookEvent(gateway, event) {
+    // Some gateways only identify the order by their own id
+    let orderId = event.orderId;
+    if (!orderId && event.gatewayOrderId) {
+        const found = await Order.findOne({ gateway: gateway.name, gatewayOrderId: event.gatewayOrderId }, 'orderId');
+        orderId = found?.orderId;
+    }
+    if (!orderId) return 'ignored'; // Not an order event (e.g. test ping)
+
+    const order = await Order.findOne({ orderId });
+    if ((order?.gateway || 'cashfree') !== gateway.name) {
+        console.warn(`[Webhook] Rejected ${gateway.name} event for order ${orderId}, placed with ${order?.gateway || 'cashfree'}`);
+        throw new ServiceError(400, 'Order was not placed with this gateway', 'GATEWAY_MISMATCH');
+    }
+
+    switch (event.type) {
+        case 'PAYMENT_SUCCESS': {
+            // Confirm with the gateway before granting, same as verify-payment
+            const gatewayOrder = await gateway.fetchOrder(order || { orderId });
+            if (gatewayOrder?.status !== 'PAID') {
+                console.warn(`[Webhook] Success event for ${orderId} but order status is ${gatewayOrder?.gatewayStatus}`);
+                return 'ignored';
+            }
+            const { user, fulfilled } = await fulfilOrder(orderId, { note: `${gateway.name} webhook`, gatewayResponse: gatewayOrder.raw });
+            if (!user) console.warn(`[Webhook] Paid order ${orderId} has no matching user`);
+            else if (!fulfilled) console.log(`[Webhook] Order ${orderId} was already fulfilled`);
+            return fulfilled ? 'fulfilled' : 'ignored';
+        }
+        case 'PAYMENT_FAILED': {
+            // Nothing was granted yet, so only the ledger changes
+            console.log(`[Webhook] Payment failed for order ${orderId}: ${event.reason}`);
+            await failOrder(orderId, { note: event.reason, gatewayResponse: event.payment });
+            return 'failed';
+        }
+        case 'REFUND': {
+            const updated = await applyRefundStatus(orderId, event.refund, { note: 'webhook' });
+            if (!updated) console.log(`[Webhook] Refund ${event.refund?.refundId} for ${orderId} already up to date`);
+            return 'refund';
+        }
+        default:
+            console.log(`[Webhook] Ignoring ${gateway.name} event ${event.gatewayEvent} for order ${orderId}`);
+            return 'ignored';
+    }
+}
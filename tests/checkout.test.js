@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { daysFromNow } from './helpers.js';
+import User from '../models/User.js';
+import Course from '../models/Course.js';
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import Session from '../models/Session.js';
+import { getGateway } from '../services/gateways/index.js';
+import { settleMockOrder } from '../services/gateways/mock.js';
+import { confirmPayment, priceCart } from '../services/checkout.js';
+import { configureApp } from '../config/express.js';
+import { errorHandler } from '../middleware/errors.js';
+import checkoutRouter from '../routes/checkout.js';
+
+const course = new Course({ courseId: 'comm-personality', name: 'Communication & Personality Development', subject: 'PD', price: 49 });
+const coupon = new Coupon({ code: 'WELCOME', discountType: 'flat', discountValue: 10, maxUsesPerMobile: 1 });
+
+// The checkout routes on a local port; `student` owns the course and has used the coupon
+async function setUp(t) {
+    const saved = { ...process.env };
+    process.env.JWT_SECRET = 'test-secret';
+    t.after(() => {
+        process.env = saved;
+    });
+
+    const student = new User({
+        name: 'Asha', email: 'asha@example.com', mobile: '9876543210',
+        courses: [{ courseId: 'comm-personality', isPaid: true, orderId: 'ORDER_0', expiryDate: daysFromNow(10) }]
+    });
+    // A token from before sessions, checked against User.sessionToken
+    student.sessionToken = jwt.sign({ _id: student._id, mobile: student.mobile }, process.env.JWT_SECRET);
+
+    t.mock.method(Course, 'findOne', async () => course);
+    t.mock.method(Coupon, 'findOne', async () => coupon);
+    t.mock.method(User, 'findOne', async () => student);
+    t.mock.method(User, 'findById', async (id) => (String(id) === String(student._id) ? student : null));
+    t.mock.method(Order, 'countDocuments', async () => 1);
+
+    const app = configureApp(express());
+    app.use('/api', checkoutRouter);
+    app.use(errorHandler);
+    const server = app.listen(0);
+    t.after(() => server.close());
+
+    const applyCoupon = async (body, token) => {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/api/apply-coupon`, { method: 'POST', headers, body: JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    };
+    return { student, applyCoupon };
+}
+
+test('an anonymous quote ignores the mobile number and prices every line', async (t) => {
+    const { applyCoupon } = await setUp(t);
+
+    const { status, body } = await applyCoupon({ code: 'WELCOME', courseId: 'comm-personality', mobile: '9876543210' });
+    assert.equal(status, 200);
+    assert.equal(body.finalAmount, 39);
+    assert.equal(body.lines[0].status, 'ADDED');
+    assert.equal(User.findOne.mock.callCount(), 0);
+    assert.equal(Order.countDocuments.mock.callCount(), 0);
+});
+
+test('a logged-in student gets the quote create-order would give them', async (t) => {
+    const { student, applyCoupon } = await setUp(t);
+
+    const owned = await applyCoupon({ code: 'WELCOME', courseId: 'comm-personality' }, student.sessionToken);
+    assert.equal(owned.status, 409);
+    assert.equal(owned.body.code, 'ALREADY_OWNED');
+
+    student.courses = [];
+    const used = await applyCoupon({ code: 'WELCOME', courseId: 'comm-personality' }, student.sessionToken);
+    assert.equal(used.status, 400);
+    assert.equal(used.body.code, 'COUPON_ALREADY_USED');
+});
+
+test('a quote with an invalid token is refused', async (t) => {
+    const { applyCoupon } = await setUp(t);
+
+    const { status, body } = await applyCoupon({ code: 'WELCOME', courseId: 'comm-personality' }, 'not-a-token');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'TOKEN_INVALID');
+});
+
+// A paid and fulfilled mock order, with sessions saved in memory
+async function setUpPaidOrder(t) {
+    const saved = { ...process.env };
+    Object.assign(process.env, { JWT_SECRET: 'test-secret', MOCK_GATEWAY_ENABLED: 'true', MOCK_GATEWAY_SECRET: 'test-secret' });
+    t.after(() => {
+        process.env = saved;
+    });
+
+    const student = new User({ name: 'Asha', email: 'asha@example.com', mobile: '9876543210', courses: [] });
+    const order = new Order({ orderId: 'ORDER_1', user: student._id, amount: 49, status: 'PAID', paidAt: new Date(), fulfilledAt: new Date(), gateway: 'mock', items: [] });
+    await getGateway('mock').createOrder({ orderId: 'ORDER_1', amount: 49, currency: 'INR', customer: {}, returnUrl: '' });
+    settleMockOrder('ORDER_1', 'success');
+
+    t.mock.method(Order, 'findOne', async () => order);
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.status?.$in && !filter.status.$in.includes(order.status)) return null;
+        if (filter.loginIssuedAt && order.loginIssuedAt) return null;
+        Object.assign(order, update.$set);
+        return order;
+    });
+    t.mock.method(User, 'findById', async () => student);
+    t.mock.method(Course, 'find', async () => []);
+    t.mock.method(Session.prototype, 'save', async function () {
+        return this;
+    });
+    t.mock.method(Session, 'find', () => ({ sort: () => ({ skip: async () => [] }) }));
+    return order;
+}
+
+test('only the first confirmation of a paid order logs the student in', async (t) => {
+    const order = await setUpPaidOrder(t);
+    const req = { get: () => 'test-agent', ip: '127.0.0.1', body: {} };
+
+    const first = await confirmPayment('ORDER_1', req);
+    assert.equal(first.status, 'PAID');
+    assert.ok(first.token);
+    assert.ok(first.refreshToken);
+    assert.ok(order.loginIssuedAt);
+
+    const again = await confirmPayment('ORDER_1', req);
+    assert.deepEqual(again, { status: 'PAID', lines: [] });
+    assert.equal(Session.prototype.save.mock.callCount(), 1);
+});
+
+// soft-lang-combo grants fttp and dttp
+function mockBundleCatalog(t) {
+    const courses = [
+        new Course({ courseId: 'soft-lang-combo', name: 'Soft Skills + Language Combo', subject: 'COMBO', price: 199, isBundle: true, components: ['fttp', 'dttp'] }),
+        new Course({ courseId: 'fttp', name: 'Soft Skills', subject: 'FTTP', price: 119 }),
+        new Course({ courseId: 'dttp', name: 'Language', subject: 'DTTP', price: 119 })
+    ];
+    t.mock.method(Course, 'findOne', async ({ courseId }) => courses.find(c => c.courseId === courseId) || null);
+    t.mock.method(Course, 'find', async ({ courseId }) => courses.filter(c => courseId.$in.includes(c.courseId)));
+}
+
+test('a bundle with some of its courses already active is refused', async (t) => {
+    mockBundleCatalog(t);
+    const student = new User({
+        name: 'Asha', email: 'asha@example.com', mobile: '9876543210',
+        courses: [{ courseId: 'fttp', isPaid: true, orderId: 'ORDER_0', expiryDate: daysFromNow(10) }]
+    });
+
+    await assert.rejects(priceCart([{ courseId: 'soft-lang-combo' }], student), (err) => {
+        assert.equal(err.status, 409);
+        assert.equal(err.code, 'BUNDLE_PARTLY_OWNED');
+        assert.deepEqual(err.details, { courseId: 'soft-lang-combo', owned: ['fttp'], missing: ['dttp'] });
+        return true;
+    });
+
+    // The same goes for a course bought on an earlier line of the cart
+    await assert.rejects(priceCart([{ courseId: 'dttp' }, { courseId: 'soft-lang-combo' }], null), { code: 'BUNDLE_PARTLY_OWNED' });
+
+    // Once fttp has expired the bundle is sold again
+    student.courses[0].expiryDate = daysFromNow(-1);
+    const { lines, amount } = await priceCart([{ courseId: 'soft-lang-combo' }], student);
+    assert.equal(lines[0].status, 'ADDED');
+    assert.equal(amount, 199);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import './helpers.js';
+import Coupon from '../models/Coupon.js';
+import CouponUse from '../models/CouponUse.js';
+import Order from '../models/Order.js';
+import { reserveCouponUse, releaseCouponUse, recordCouponUse, getOrCreateReferralCoupon } from '../services/coupons.js';
+import { failOrder } from '../services/fulfilment.js';
+
+// One coupon, its per-mobile uses and orders in memory. Updates only apply when the
+// conditions MongoDB would check hold, and each one is applied in a single step.
+function setUp(t, fields = {}) {
+    const coupon = new Coupon({ code: 'WELCOME', discountType: 'flat', discountValue: 10, ...fields });
+    const uses = new Map();
+    const orders = new Map();
+
+    t.mock.method(Coupon, 'findOneAndUpdate', async (filter, update) => {
+        if (coupon.maxUses != null && coupon.usedCount + coupon.reservedCount >= coupon.maxUses) return null;
+        coupon.reservedCount += update.$inc.reservedCount;
+        return coupon;
+    });
+    t.mock.method(Coupon, 'updateOne', async (filter, update) => {
+        if (filter.reservedCount && !(coupon.reservedCount > 0)) return {};
+        for (const [field, by] of Object.entries(update.$inc)) coupon[field] += by;
+        return {};
+    });
+
+    t.mock.method(CouponUse, 'exists', async ({ mobile }) => uses.has(mobile));
+    t.mock.method(CouponUse, 'updateOne', async (filter, update) => {
+        if (update.$setOnInsert) {
+            if (!uses.has(filter.mobile)) uses.set(filter.mobile, update.$setOnInsert.count);
+        } else if (uses.has(filter.mobile) && !(filter.count?.$gt === 0 && uses.get(filter.mobile) <= 0)) {
+            uses.set(filter.mobile, uses.get(filter.mobile) + update.$inc.count);
+        }
+        return {};
+    });
+    t.mock.method(CouponUse, 'findOneAndUpdate', async (filter) => {
+        const count = uses.get(filter.mobile);
+        if (!(count < filter.count.$lt)) return null;
+        uses.set(filter.mobile, count + 1);
+        return { count: count + 1 };
+    });
+    t.mock.method(Order, 'countDocuments', async () => 0);
+
+    // Order status and coupon state updates, returning the order as it was for `new: false`
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update, options = {}) => {
+        const order = orders.get(filter.orderId);
+        if (!order) return null;
+        if (filter.status?.$in && !filter.status.$in.includes(order.status)) return null;
+        const state = filter['coupon.state'];
+        if (typeof state === 'string' && order.coupon.state !== state) return null;
+        if (state?.$ne && order.coupon.state === state.$ne) return null;
+
+        const before = structuredClone(order);
+        for (const [path, value] of Object.entries(update.$set)) {
+            if (path === 'coupon.state') order.coupon.state = value;
+            else order[path] = value;
+        }
+        return options.new ? order : before;
+    });
+
+    const placeOrder = async (orderId, mobile) => {
+        await reserveCouponUse(coupon, mobile);
+        const order = { orderId, status: 'PENDING', customer: { mobile }, coupon: { code: coupon.code, state: 'RESERVED' } };
+        orders.set(orderId, order);
+        return order;
+    };
+    return { coupon, uses, placeOrder };
+}
+
+test('concurrent checkouts cannot take more uses than maxUses', async (t) => {
+    const { coupon, placeOrder } = setUp(t, { maxUses: 2 });
+
+    const results = await Promise.allSettled(['9000000001', '9000000002', '9000000003'].map((mobile, i) => placeOrder(`ORDER_${i}`, mobile)));
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 2);
+    assert.equal(results.find(r => r.status === 'rejected').reason.code, 'COUPON_LIMIT_REACHED');
+    assert.equal(coupon.reservedCount, 2);
+});
+
+test('a student cannot hold more uses than maxUsesPerMobile', async (t) => {
+    const { coupon, uses, placeOrder } = setUp(t, { maxUsesPerMobile: 1 });
+
+    const results = await Promise.allSettled([placeOrder('ORDER_1', '9000000001'), placeOrder('ORDER_2', '9000000001')]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(results.find(r => r.status === 'rejected').reason.code, 'COUPON_ALREADY_USED');
+    assert.equal(uses.get('9000000001'), 1);
+    assert.equal(coupon.reservedCount, 1);
+
+    await placeOrder('ORDER_3', '9000000002');
+    assert.equal(coupon.reservedCount, 2);
+});
+
+test('a referral code is limited to one use per student', async (t) => {
+    const { placeOrder } = setUp(t, { referrer: { user: new mongoose.Types.ObjectId() } });
+
+    await placeOrder('ORDER_1', '9000000001');
+    await assert.rejects(placeOrder('ORDER_2', '9000000001'), { code: 'COUPON_ALREADY_USED' });
+});
+
+test('a failed order gives its use back once', async (t) => {
+    const { coupon, uses, placeOrder } = setUp(t, { maxUses: 1, maxUsesPerMobile: 1 });
+    const order = await placeOrder('ORDER_1', '9000000001');
+
+    await failOrder('ORDER_1', { note: 'payment failed' });
+    assert.equal(order.status, 'FAILED');
+    assert.equal(order.coupon.state, 'RELEASED');
+    assert.equal(coupon.reservedCount, 0);
+    assert.equal(uses.get('9000000001'), 0);
+
+    await releaseCouponUse(order);
+    assert.equal(coupon.reservedCount, 0);
+
+    // The use is free again, for this student or another one
+    await placeOrder('ORDER_2', '9000000001');
+    assert.equal(coupon.reservedCount, 1);
+});
+
+test('a paid order turns its reservation into a use once', async (t) => {
+    const { coupon, placeOrder } = setUp(t, { maxUses: 5 });
+    const order = await placeOrder('ORDER_1', '9000000001');
+
+    await recordCouponUse(order);
+    await recordCouponUse(order);
+    assert.equal(coupon.usedCount, 1);
+    assert.equal(coupon.reservedCount, 0);
+    assert.equal(order.coupon.state, 'USED');
+});
+
+test('a late payment after the use was released is still counted', async (t) => {
+    const { coupon, uses, placeOrder } = setUp(t, { maxUsesPerMobile: 1 });
+    const order = await placeOrder('ORDER_1', '9000000001');
+    await releaseCouponUse(order);
+
+    await recordCouponUse(order);
+    assert.equal(coupon.usedCount, 1);
+    assert.equal(coupon.reservedCount, 0);
+    assert.equal(uses.get('9000000001'), 1);
+});
+
+test('new referral codes are created with one use per student', async (t) => {
+    t.mock.method(Coupon, 'findOne', async () => null);
+    t.mock.method(Coupon, 'create', async (doc) => new Coupon(doc));
+
+    const coupon = await getOrCreateReferralCoupon({ _id: new mongoose.Types.ObjectId(), name: 'Asha' });
+    assert.match(coupon.code, /^REF/);
+    assert.equal(coupon.maxUsesPerMobile, 1);
+});
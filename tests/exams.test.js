@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { mockOutbox, daysFromNow } from './helpers.js';
+import User from '../models/User.js';
+import Course from '../models/Course.js';
+import Question from '../models/Question.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { startExam } from '../services/exams.js';
+
+function makeUser(attemptsLeft) {
+    return new User({
+        name: 'Asha', email: 'asha@example.com', mobile: '9876543210',
+        courses: [{ courseId: 'comm-personality', subject: 'PD', isPaid: true, expiryDate: daysFromNow(10), attemptsLeft }]
+    });
+}
+
+function makeQuestion() {
+    return { _id: new mongoose.Types.ObjectId(), prompt: 'Q', options: ['a', 'b', 'c', 'd'], answer: 2, marks: 1, difficulty: 'easy' };
+}
+
+// A user whose attempts are taken with the same conditions MongoDB would check
+function setUp(t, { attemptsLeft = 5, questions = 3 } = {}) {
+    const user = makeUser(attemptsLeft);
+    const course = new Course({ courseId: 'comm-personality', name: 'Communication & Personality Development', subject: 'PD', price: 49 });
+    const bank = Array.from({ length: questions }, makeQuestion);
+
+    t.mock.method(User, 'findOne', async () => user);
+    t.mock.method(Course, 'findOne', async () => course);
+    t.mock.method(Question, 'aggregate', async (pipeline) => bank.slice(0, pipeline[1].$sample.size));
+    t.mock.method(User, 'findOneAndUpdate', async () => {
+        const entry = user.courses[0];
+        if (!(entry.attemptsLeft > 0)) return null;
+        entry.attemptsLeft -= 1;
+        return user;
+    });
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+        user.courses[0].attemptsLeft += update.$inc['courses.$.attemptsLeft'];
+        return {};
+    });
+    t.mock.method(ExamAttempt, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    mockOutbox(t);
+    return user;
+}
+
+test('starting an exam uses one attempt and returns the paper', async (t) => {
+    const user = setUp(t);
+
+    const { attempt, paper, attemptsLeft } = await startExam('9876543210', 'comm-personality');
+    assert.equal(paper.length, 3);
+    assert.equal(attempt.questions.length, 3);
+    assert.equal(attemptsLeft, 4);
+    assert.equal(user.courses[0].attemptsLeft, 4);
+});
+
+test('an empty question bank fails the start without using an attempt', async (t) => {
+    const user = setUp(t, { questions: 0 });
+
+    await assert.rejects(startExam('9876543210', 'comm-personality'), { code: 'EXAM_UNAVAILABLE', status: 503 });
+    assert.equal(user.courses[0].attemptsLeft, 5);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(ExamAttempt.create.mock.callCount(), 0);
+});
+
+test('the attempt is given back when the exam attempt cannot be saved', async (t) => {
+    const user = setUp(t);
+    t.mock.method(ExamAttempt, 'create', async () => { throw new Error('write failed'); });
+
+    await assert.rejects(startExam('9876543210', 'comm-personality'), /write failed/);
+    assert.equal(user.courses[0].attemptsLeft, 5);
+});
+
+test('the last attempt can only be taken once', async (t) => {
+    const user = setUp(t, { attemptsLeft: 1 });
+
+    const results = await Promise.allSettled([
+        startExam('9876543210', 'comm-personality'),
+        startExam('9876543210', 'comm-personality')
+    ]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(results.find(r => r.status === 'rejected').reason.code, 'NO_ATTEMPTS_LEFT');
+    assert.equal(user.courses[0].attemptsLeft, 0);
+});
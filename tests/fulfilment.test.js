@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockSave, mockOutbox, daysFromNow } from './helpers.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Coupon from '../models/Coupon.js';
+import { fulfilOrder } from '../services/fulfilment.js';
+
+function makeOrder(fields = {}) {
+    return new Order({
+        orderId: 'ORDER_1',
+        user: new User()._id,
+        amount: 49,
+        status: 'PENDING',
+        items: [{
+            courseId: 'comm-personality',
+            courseName: 'Communication & Personality Development',
+            price: 49,
+            validityDays: 20,
+            grants: [{ courseId: 'comm-personality', subject: 'PD', attempts: 30 }]
+        }],
+        ...fields
+    });
+}
+
+function makeUser(order, courses = []) {
+    return new User({ _id: order.user, name: 'Asha', email: 'asha@example.com', mobile: '9876543210', courses });
+}
+
+// An order ledger in memory: status updates only apply from the allowed statuses, as in MongoDB
+function mockOrders(t, order) {
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.status?.$in && !filter.status.$in.includes(order.status)) return null;
+        if (filter.status === 'PAID' && (order.status !== 'PAID' || order.fulfilledAt)) return null;
+        if (filter.$or && order.grantClaimedAt && order.grantClaimedAt >= filter.$or[1].grantClaimedAt.$lt) return null;
+        Object.assign(order, update.$set);
+        return order;
+    });
+    t.mock.method(Order, 'findOne', async () => order);
+    mockSave(t, order);
+}
+
+// Users are loaded fresh for every call and only what was saved survives, as with MongoDB.
+// Returns { saves, failNextSave, current() }, current() being the user as last saved.
+function setUp(t, order, user) {
+    mockOrders(t, order);
+    t.mock.method(Coupon, 'updateOne', async () => ({}));
+    mockOutbox(t);
+
+    let saved = user.toObject();
+    const users = { saves: 0, failNextSave: false };
+    t.mock.method(User, 'findById', async () => {
+        const doc = User.hydrate(structuredClone(saved));
+        return mockSave(t, doc, async () => {
+            if (users.failNextSave) {
+                users.failNextSave = false;
+                throw new Error('connection lost');
+            }
+            users.saves++;
+            saved = doc.toObject();
+            return doc;
+        });
+    });
+    users.current = () => User.hydrate(structuredClone(saved));
+    return users;
+}
+
+test('fulfilOrder grants the courses once, however often it is called', async (t) => {
+    const order = makeOrder();
+    const users = setUp(t, order, makeUser(order));
+
+    const first = await fulfilOrder('ORDER_1', { note: 'webhook' });
+    assert.equal(first.fulfilled, true);
+    assert.equal(order.status, 'PAID');
+    assert.ok(order.fulfilledAt);
+    assert.equal(order.items[0].fulfilment.status, 'GRANTED');
+    let user = users.current();
+    assert.equal(user.courses.length, 1);
+    assert.equal(user.courses[0].attemptsLeft, 30);
+    assert.deepEqual([...user.fulfilledOrders], ['ORDER_1']);
+
+    const second = await fulfilOrder('ORDER_1', { note: 'verify-payment' });
+    assert.equal(second.fulfilled, false);
+    user = users.current();
+    assert.equal(user.courses.length, 1);
+    assert.equal(users.saves, 1);
+});
+
+test('a paid order whose grant was interrupted is granted by the next call', async (t) => {
+    const order = makeOrder();
+    const users = setUp(t, order, makeUser(order));
+
+    // The process loses the database while saving the user
+    users.failNextSave = true;
+    await assert.rejects(fulfilOrder('ORDER_1', { note: 'webhook' }), /connection lost/);
+    assert.equal(order.status, 'PAID');
+    assert.equal(order.fulfilledAt, undefined);
+    assert.equal(users.current().courses.length, 0);
+
+    // A retry within the lease leaves it to the caller that holds the claim
+    const early = await fulfilOrder('ORDER_1', { note: 'verify-payment' });
+    assert.equal(early.fulfilled, false);
+
+    // Once the claim is stale, the next caller finishes the grant
+    order.grantClaimedAt = new Date(Date.now() - 10 * 60 * 1000);
+    const retried = await fulfilOrder('ORDER_1', { note: 'reconciliation' });
+    assert.equal(retried.fulfilled, true);
+    assert.ok(order.fulfilledAt);
+    assert.equal(users.current().courses.length, 1);
+});
+
+test('a grant already saved on the user is not applied twice', async (t) => {
+    const order = makeOrder({ status: 'PAID', items: [{
+        courseId: 'comm-personality',
+        type: 'attempts',
+        price: 19,
+        validityDays: 0,
+        grants: [{ courseId: 'comm-personality', attempts: 10 }]
+    }] });
+    const user = makeUser(order, [{ courseId: 'comm-personality', isPaid: true, orderId: 'ORDER_0', expiryDate: daysFromNow(5), attemptsLeft: 15 }]);
+    user.fulfilledOrders = ['ORDER_1'];
+    const users = setUp(t, order, user);
+
+    const result = await fulfilOrder('ORDER_1', { note: 'reconciliation' });
+    assert.equal(result.fulfilled, true);
+    assert.equal(users.current().courses[0].attemptsLeft, 15);
+    assert.equal(users.saves, 0);
+});
+
+test('re-buying an expired course restores its attempts', async (t) => {
+    const order = makeOrder();
+    const users = setUp(t, order, makeUser(order, [
+        { courseId: 'comm-personality', isPaid: true, orderId: 'ORDER_0', expiryDate: daysFromNow(-3), attemptsLeft: 0, modulesCompleted: [1, 2] }
+    ]));
+
+    await fulfilOrder('ORDER_1', { note: 'webhook' });
+    const entry = users.current().courses[0];
+    assert.equal(entry.attemptsLeft, 30);
+    assert.equal(entry.orderId, 'ORDER_1');
+    assert.ok(entry.expiryDate > daysFromNow(19));
+    assert.deepEqual([...entry.modulesCompleted], [1, 2]);
+});
+
+test('add-ons are recorded on the course entry they were applied to', async (t) => {
+    const order = makeOrder({ items: [
+        { courseId: 'comm-personality', type: 'renewal', price: 29, validityDays: 20, grants: [{ courseId: 'comm-personality', attempts: 0 }] },
+        { courseId: 'comm-personality', type: 'attempts', price: 19, validityDays: 0, grants: [{ courseId: 'comm-personality', attempts: 10 }] }
+    ] });
+    const users = setUp(t, order, makeUser(order, [
+        { courseId: 'comm-personality', isPaid: true, orderId: 'ORDER_0', expiryDate: daysFromNow(5), attemptsLeft: 3 }
+    ]));
+
+    await fulfilOrder('ORDER_1', { note: 'webhook' });
+    const entry = users.current().courses[0];
+    assert.equal(entry.orderId, 'ORDER_0');
+    assert.equal(entry.attemptsLeft, 13);
+    assert.ok(entry.expiryDate > daysFromNow(24));
+    assert.deepEqual(entry.addOns.map(a => [a.orderId, a.type, a.days, a.attempts]), [
+        ['ORDER_1', 'renewal', 20, 0],
+        ['ORDER_1', 'attempts', 0, 10]
+    ]);
+});
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+import EmailOutbox from '../models/EmailOutbox.js';
+
+// The tests never connect to MongoDB: every query a test reaches is mocked, and any
+// other one fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Mock save() on a mongoose document; saves are counted in doc.save.mock.callCount()
+export function mockSave(t, doc, impl = async () => doc) {
+    t.mock.method(doc, 'save', impl);
+    return doc;
+}
+
+// Emails are queued but never sent
+export function mockOutbox(t) {
+    t.mock.method(EmailOutbox, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    t.mock.method(EmailOutbox, 'findOneAndUpdate', async () => null);
+}
+
+export function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
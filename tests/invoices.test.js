@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import './helpers.js';
+import Counter from '../models/Counter.js';
+import Invoice from '../models/Invoice.js';
+import Order from '../models/Order.js';
+import { issueInvoice, financialYearOf } from '../services/invoices.js';
+
+function makeOrder(orderId) {
+    return new Order({
+        orderId,
+        amount: 118,
+        status: 'PAID',
+        paidAt: new Date(),
+        customer: { name: 'Asha', mobile: '9876543210', state: 'Maharashtra' },
+        items: [{ courseId: 'comm-personality', courseName: 'Communication & Personality Development', price: 118, grants: [] }]
+    });
+}
+
+// Counters and invoices in memory. Each session records the writes made in its transaction and
+// whether the transaction failed (MongoDB then aborts it, undoing its writes). Every write checks
+// it is made inside a transaction.
+function setUp(t) {
+    const saved = { ...process.env };
+    Object.assign(process.env, { SELLER_GSTIN: '27AAAAA0000A1Z5', SELLER_STATE: 'Maharashtra', INVOICE_PREFIX: 'SCSM' });
+    t.after(() => {
+        process.env = saved;
+    });
+
+    const counters = new Map();
+    const invoices = [];
+    const store = { failNextCreate: false, counters, invoices, sessions: [] };
+
+    t.mock.method(mongoose, 'startSession', async () => {
+        const session = {
+            writes: [],
+            inTransaction: false,
+            aborted: false,
+            ended: false,
+            async withTransaction(fn) {
+                session.inTransaction = true;
+                try {
+                    await fn();
+                } catch (err) {
+                    session.aborted = true;
+                    throw err;
+                } finally {
+                    session.inTransaction = false;
+                }
+            },
+            async endSession() {
+                session.ended = true;
+            }
+        };
+        store.sessions.push(session);
+        return session;
+    });
+    t.mock.method(Counter, 'findOneAndUpdate', async (filter, update, options) => {
+        assert.ok(options.session?.inTransaction);
+        options.session.writes.push('counter');
+        counters.set(filter._id, (counters.get(filter._id) || 0) + update.$inc.seq);
+        return { _id: filter._id, seq: counters.get(filter._id) };
+    });
+    t.mock.method(Invoice, 'create', async ([doc], options) => {
+        assert.ok(options.session?.inTransaction);
+        options.session.writes.push('invoice');
+        if (store.failNextCreate) {
+            store.failNextCreate = false;
+            throw new Error('write failed');
+        }
+        if (invoices.some(i => i.orderId === doc.orderId)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        const invoice = new Invoice(doc);
+        invoices.push(invoice);
+        return [invoice];
+    });
+    t.mock.method(Invoice, 'findOne', async ({ orderId }) => invoices.find(i => i.orderId === orderId) || null);
+    return store;
+}
+
+test('invoices are numbered in sequence within the financial year', async (t) => {
+    const store = setUp(t);
+    const fy = financialYearOf(new Date());
+
+    const first = await issueInvoice(makeOrder('ORDER_1'));
+    const second = await issueInvoice(makeOrder('ORDER_2'));
+    assert.equal(first.invoiceNumber, `SCSM/${fy.slice(2)}/00001`);
+    assert.equal(second.invoiceNumber, `SCSM/${fy.slice(2)}/00002`);
+    assert.equal(second.sequence, 2);
+    assert.equal(store.counters.get(`invoice:${fy}`), 2);
+    // Each number is taken in the transaction that saves its invoice
+    assert.deepEqual(store.sessions.map(s => s.writes), [['counter', 'invoice'], ['counter', 'invoice']]);
+    assert.ok(store.sessions.every(s => s.ended));
+});
+
+test('an invoice that fails to save aborts the transaction that took its number', async (t) => {
+    const store = setUp(t);
+
+    store.failNextCreate = true;
+    await assert.rejects(issueInvoice(makeOrder('ORDER_1')), /write failed/);
+    const [session] = store.sessions;
+    assert.deepEqual(session.writes, ['counter', 'invoice']);
+    assert.equal(session.aborted, true);
+    assert.equal(session.ended, true);
+});
+
+test('an order is only invoiced once', async (t) => {
+    const store = setUp(t);
+    const order = makeOrder('ORDER_1');
+
+    const first = await issueInvoice(order);
+    const again = await issueInvoice(order);
+    assert.equal(again, first);
+    assert.equal(store.invoices.length, 1);
+    assert.equal(Counter.findOneAndUpdate.mock.callCount(), 1);
+});
+
+test('a concurrent issue for the same order returns the invoice that won', async (t) => {
+    const store = setUp(t);
+
+    const results = await Promise.all([issueInvoice(makeOrder('ORDER_1')), issueInvoice(makeOrder('ORDER_1'))]);
+    assert.equal(results[0], results[1]);
+    assert.equal(store.invoices.length, 1);
+    // The losing transaction is aborted, which gives its number back
+    assert.deepEqual(store.sessions.map(s => s.aborted), [false, true]);
+});
+
+test('an order paid before the financial year ended is invoiced in that year', async (t) => {
+    setUp(t);
+    const order = makeOrder('ORDER_1');
+    order.paidAt = new Date('2026-03-31T18:00:00Z'); // 11:30 pm on 31 March in India
+
+    const invoice = await issueInvoice(order);
+    assert.equal(invoice.financialYear, '2025-26');
+    assert.equal(invoice.invoiceNumber, 'SCSM/25-26/00001');
+    assert.equal(invoice.issuedAt.getTime(), order.paidAt.getTime());
+});
+
+test('the financial year turns over at midnight on 1 April in India', () => {
+    assert.equal(financialYearOf(new Date('2027-03-31T18:29:59Z')), '2026-27');
+    assert.equal(financialYearOf(new Date('2027-03-31T18:30:00Z')), '2027-28');
+    assert.equal(financialYearOf(new Date('2026-04-01T00:00:00+05:30')), '2026-27');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import Otp from '../models/Otp.js';
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { getSender } from '../services/senders.js';
+import { requestLoginOtp, loginWithOtp } from '../services/login.js';
+
+// OTPs in memory, sent with the console sender; `student` is the only registered mobile
+function setUp(t) {
+    const student = new User({ name: 'Asha', email: 'asha@example.com', mobile: '9876543210', courses: [] });
+    const otps = [];
+
+    t.mock.method(User, 'findOne', async ({ mobile }) => (mobile === student.mobile ? student : null));
+    t.mock.method(Otp, 'find', () => ({ sort: async () => [] }));
+    t.mock.method(Otp, 'updateMany', async () => ({}));
+    t.mock.method(Otp, 'create', async (doc) => {
+        otps.push(new Otp(doc));
+        return otps.at(-1);
+    });
+    t.mock.method(Otp, 'findOne', ({ mobile }) => ({ sort: async () => otps.findLast(o => o.mobile === mobile) || null }));
+    t.mock.method(Otp, 'findOneAndUpdate', async ({ _id }, update) => {
+        const otp = otps.find(o => o._id.equals(_id));
+        otp.failedAttempts += update.$inc?.failedAttempts || 0;
+        return otp;
+    });
+    t.mock.method(SecurityEvent, 'create', async () => ({}));
+    t.mock.method(getSender('console'), 'send', async () => {});
+    return { student, otps };
+}
+
+test('an OTP request for an unregistered mobile answers the same but sends nothing', async (t) => {
+    const { student, otps } = setUp(t);
+    const send = getSender('console').send;
+
+    const known = await requestLoginOtp(student.mobile);
+    const unknown = await requestLoginOtp('9123456780');
+    assert.deepEqual(unknown, known);
+    assert.equal(otps.length, 2);
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal(send.mock.calls[0].arguments[0].mobile, student.mobile);
+});
+
+test('a wrong OTP is refused the same way whether or not the mobile is registered', async (t) => {
+    const { student } = setUp(t);
+    await requestLoginOtp(student.mobile);
+    await requestLoginOtp('9123456780');
+
+    // Anything but the code sent to the student (the other mobile's code was never sent)
+    const code = getSender('console').send.mock.calls[0].arguments[0].message.slice(0, 6);
+    const guess = code === '000000' ? '000001' : '000000';
+    await assert.rejects(loginWithOtp({ mobile: student.mobile, otp: guess }), { code: 'OTP_INVALID', status: 401 });
+    await assert.rejects(loginWithOtp({ mobile: '9123456780', otp: guess }), { code: 'OTP_INVALID', status: 401 });
+    // Only looked up by request-otp
+    assert.equal(User.findOne.mock.calls.filter(c => c.arguments[0].mobile === '9123456780').length, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import Question from '../models/Question.js';
+import { DEFAULT_COURSES, fillModuleCounts } from '../services/catalog.js';
+import { completeModules, describeProgress } from '../services/progress.js';
+import { isCourseComplete } from '../services/certificates.js';
+
+function seededCourse(courseId) {
+    return new Course(DEFAULT_COURSES.find(c => c.courseId === courseId));
+}
+
+function courseEntry(courseId, modulesCompleted = []) {
+    const user = new User({ name: 'Asha', email: 'asha@example.com', mobile: '9876543210', courses: [{ courseId, isPaid: true, modulesCompleted }] });
+    return user.courses[0];
+}
+
+test('progress on a seeded course without modules is merged as sent', () => {
+    const entry = courseEntry('comm-personality', [1]);
+
+    const modulesCompleted = completeModules(seededCourse('comm-personality'), entry, [3, 1, 2]);
+    assert.deepEqual([...modulesCompleted], [1, 3, 2]);
+    assert.deepEqual([...entry.modulesCompleted], [1, 3, 2]);
+});
+
+test('a course with a module count completes modules in sequence', () => {
+    const course = seededCourse('fttp');
+    course.moduleCount = 3;
+    const entry = courseEntry('fttp');
+
+    assert.throws(() => completeModules(course, entry, [2]), { code: 'MODULE_LOCKED' });
+    assert.throws(() => completeModules(course, entry, [4]), { code: 'MODULE_NOT_FOUND' });
+    assert.deepEqual([...completeModules(course, entry, [2, 1])], [1, 2]);
+
+    const progress = describeProgress(course, entry);
+    assert.equal(progress.completedCount, 2);
+    assert.equal(progress.nextModule.moduleId, 3);
+});
+
+test('courses without modules take their module count from the question bank', async (t) => {
+    const courses = [seededCourse('fttp'), seededCourse('dttp'), seededCourse('comm-personality')];
+    t.mock.method(Course, 'find', async () => courses);
+    t.mock.method(Question, 'aggregate', async () => [{ _id: 'CSS', moduleCount: 6 }, { _id: 'PD', moduleCount: 4 }]);
+    t.mock.method(Course, 'updateOne', async (filter, update) => {
+        const course = courses.find(c => c._id.equals(filter._id));
+        course.moduleCount = update.$set.moduleCount;
+        return { modifiedCount: 1 };
+    });
+
+    const updated = await fillModuleCounts();
+    assert.deepEqual(updated, [{ courseId: 'fttp', moduleCount: 6 }, { courseId: 'comm-personality', moduleCount: 4 }]);
+
+    // The seeded course can now be completed and earns its certificate
+    const course = courses[2];
+    const entry = courseEntry('comm-personality');
+    completeModules(course, entry, [1, 2, 3]);
+    assert.equal(isCourseComplete(course, entry), false);
+    completeModules(course, entry, [4]);
+    assert.equal(isCourseComplete(course, entry), true);
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockSave, daysFromNow } from './helpers.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { getGateway } from '../services/gateways/index.js';
+import { settleMockOrder } from '../services/gateways/mock.js';
+import { initiateRefund, applyRefundStatus } from '../services/refunds.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function makeOrder(orderId, user, item) {
+    return new Order({ orderId, user: user._id, amount: item.price, subtotal: item.price, status: 'PAID', paidAt: new Date(), gateway: 'mock', items: [item] });
+}
+
+const courseLine = { courseId: 'comm-personality', type: 'course', price: 49, validityDays: 20, grants: [{ courseId: 'comm-personality', attempts: 30 }] };
+const renewalLine = { courseId: 'comm-personality', type: 'renewal', price: 29, validityDays: 20, grants: [{ courseId: 'comm-personality', attempts: 0 }] };
+const packLine = { courseId: 'comm-personality', type: 'attempts', price: 19, validityDays: 0, grants: [{ courseId: 'comm-personality', attempts: 10 }] };
+
+// Course bought 5 days ago under ORDER_COURSE (20 days), then a 20 day renewal (ORDER_RENEWAL)
+// and a 10 attempt pack (ORDER_PACK)
+function makeUser() {
+    return new User({
+        name: 'Asha', email: 'asha@example.com', mobile: '9876543210',
+        courses: [{
+            courseId: 'comm-personality', isPaid: true, orderId: 'ORDER_COURSE',
+            paymentDate: daysFromNow(-5), expiryDate: daysFromNow(35), attemptsLeft: 12,
+            addOns: [
+                { orderId: 'ORDER_RENEWAL', type: 'renewal', days: 20 },
+                { orderId: 'ORDER_PACK', type: 'attempts', attempts: 10 }
+            ]
+        }]
+    });
+}
+
+// The order on the mock gateway, paid, and the refund ledger in memory
+async function setUp(t, order, user) {
+    const saved = { ...process.env };
+    Object.assign(process.env, { MOCK_GATEWAY_ENABLED: 'true', MOCK_GATEWAY_SECRET: 'test-secret' });
+    t.after(() => {
+        process.env = saved;
+    });
+
+    await getGateway('mock').createOrder({ orderId: order.orderId, amount: order.amount, currency: 'INR', customer: {}, returnUrl: '' });
+    settleMockOrder(order.orderId, 'success');
+
+    t.mock.method(Order, 'findOne', async () => order);
+    t.mock.method(Order, 'updateOne', async (filter, update) => {
+        const match = filter.refunds?.$elemMatch;
+        const refund = order.refunds.find(r => r.refundId === (match?.refundId || filter['refunds.refundId']));
+        if (!refund || match?.status.$nin.includes(refund.status)) return { matchedCount: 0 };
+        for (const [path, value] of Object.entries(update.$set)) refund.set(path.replace('refunds.$.', ''), value);
+        return { matchedCount: 1 };
+    });
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (update.$push?.refunds) {
+            order.refunds.push(update.$push.refunds);
+        } else if (filter.refunds) {
+            const refund = order.refunds.find(r => r.refundId === filter.refunds.$elemMatch.refundId);
+            if (!filter.refunds.$elemMatch.status.$in.includes(refund.status)) return null;
+            refund.status = update.$set['refunds.$.status'];
+        } else {
+            Object.assign(order, update.$set);
+        }
+        return order;
+    });
+    t.mock.method(User, 'findById', async () => user);
+    mockSave(t, user);
+}
+
+// The gateway accepts refunds without settling them, as real gateways do
+function holdRefunds(t) {
+    t.mock.method(getGateway('mock'), 'createRefund', async (order, { refundId }) => ({ refundId, gatewayRefundId: `mock_${refundId}`, status: 'PENDING', raw: {} }));
+}
+
+function expiryInDays(entry) {
+    return Math.round((entry.expiryDate - Date.now()) / DAY);
+}
+
+test('refunding an attempt pack takes back only its attempts', async (t) => {
+    const user = makeUser();
+    const order = makeOrder('ORDER_PACK', user, packLine);
+    await setUp(t, order, user);
+
+    const { revoked } = await initiateRefund('ORDER_PACK', { reason: 'bought by mistake' });
+    const entry = user.courses[0];
+    assert.deepEqual(revoked, ['comm-personality']);
+    assert.equal(entry.attemptsLeft, 2);
+    assert.equal(expiryInDays(entry), 35);
+    assert.equal(entry.isPaid, true);
+    assert.deepEqual(entry.addOns.map(a => a.orderId), ['ORDER_RENEWAL']);
+    assert.equal(order.status, 'REFUNDED');
+});
+
+test('refunding a renewal takes back only its days', async (t) => {
+    const user = makeUser();
+    await setUp(t, makeOrder('ORDER_RENEWAL', user, renewalLine), user);
+
+    await initiateRefund('ORDER_RENEWAL', { reason: 'not needed' });
+    const entry = user.courses[0];
+    assert.equal(expiryInDays(entry), 15);
+    assert.equal(entry.attemptsLeft, 12);
+    assert.equal(entry.isPaid, true);
+});
+
+test('attempts never go below zero when a used pack is refunded', async (t) => {
+    const user = makeUser();
+    user.courses[0].attemptsLeft = 4;
+    await setUp(t, makeOrder('ORDER_PACK', user, packLine), user);
+
+    await initiateRefund('ORDER_PACK', { reason: 'goodwill' });
+    assert.equal(user.courses[0].attemptsLeft, 0);
+});
+
+test('refunding the course keeps the time and attempts bought with add-ons', async (t) => {
+    const user = makeUser();
+    await setUp(t, makeOrder('ORDER_COURSE', user, courseLine), user);
+
+    await initiateRefund('ORDER_COURSE', { reason: 'course refunded' });
+    const entry = user.courses[0];
+    // 15 days of the course were left; the 20 renewal days stay
+    assert.equal(expiryInDays(entry), 20);
+    assert.equal(entry.isPaid, true);
+    assert.equal(entry.attemptsLeft, 10);
+    assert.equal(entry.refundedAt, undefined);
+});
+
+test('refunding a course without add-ons revokes it', async (t) => {
+    const user = makeUser();
+    user.courses[0].addOns = [];
+    await setUp(t, makeOrder('ORDER_COURSE', user, courseLine), user);
+
+    await initiateRefund('ORDER_COURSE', { reason: 'course refunded' });
+    const entry = user.courses[0];
+    assert.equal(entry.isPaid, false);
+    assert.ok(entry.refundedAt);
+    assert.ok(entry.expiryDate <= new Date());
+});
+
+test('an add-on refund leaves a course re-bought under another order alone', async (t) => {
+    const user = makeUser();
+    user.courses[0].addOns = [];
+    await setUp(t, makeOrder('ORDER_PACK', user, packLine), user);
+
+    const { revoked } = await initiateRefund('ORDER_PACK', { reason: 'bought by mistake' });
+    assert.deepEqual(revoked, []);
+    assert.equal(user.courses[0].attemptsLeft, 12);
+    assert.equal(user.save.mock.callCount(), 0);
+});
+
+test('a refund the gateway fails gives the course back', async (t) => {
+    const user = makeUser();
+    user.courses[0].addOns = [];
+    const order = makeOrder('ORDER_COURSE', user, courseLine);
+    await setUp(t, order, user);
+    holdRefunds(t);
+
+    const { refund } = await initiateRefund('ORDER_COURSE', { reason: 'course refunded' });
+    assert.equal(user.courses[0].isPaid, false);
+
+    await applyRefundStatus('ORDER_COURSE', { refundId: refund.refundId, status: 'FAILED' });
+    const entry = user.courses[0];
+    assert.equal(entry.isPaid, true);
+    assert.equal(entry.refundedAt, undefined);
+    assert.equal(expiryInDays(entry), 35);
+    assert.equal(entry.attemptsLeft, 12);
+    assert.ok(order.refunds[0].accessRestoredAt);
+});
+
+test('a cancelled add-on refund gives back its attempts and keeps what was used since', async (t) => {
+    const user = makeUser();
+    const order = makeOrder('ORDER_PACK', user, packLine);
+    await setUp(t, order, user);
+    holdRefunds(t);
+
+    const { refund } = await initiateRefund('ORDER_PACK', { reason: 'bought by mistake' });
+    assert.equal(user.courses[0].attemptsLeft, 2);
+    user.courses[0].attemptsLeft = 1; // One attempt used meanwhile
+
+    await applyRefundStatus('ORDER_PACK', { refundId: refund.refundId, status: 'CANCELLED' });
+    const entry = user.courses[0];
+    assert.equal(entry.attemptsLeft, 11);
+    assert.deepEqual(entry.addOns.map(a => a.orderId), ['ORDER_RENEWAL', 'ORDER_PACK']);
+    assert.equal(order.status, 'PAID');
+});
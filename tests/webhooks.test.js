@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { getGateway } from '../services/gateways/index.js';
+import { signMockWebhook, settleMockOrder } from '../services/gateways/mock.js';
+import { handleWebhookEvent } from '../services/webhooks.js';
+
+function enableMockGateway(t, env = { MOCK_GATEWAY_ENABLED: 'true', MOCK_GATEWAY_SECRET: 'test-secret' }) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    t.after(() => {
+        process.env = saved;
+    });
+}
+
+function signedRequest(body, signature) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { headers: { 'x-mock-signature': signature ?? signMockWebhook(rawBody) }, body, rawBody };
+}
+
+function makeOrder(gateway) {
+    return new Order({
+        orderId: 'ORDER_1',
+        user: new User()._id,
+        amount: 49,
+        status: 'PENDING',
+        gateway,
+        items: [{ courseId: 'comm-personality', price: 49, validityDays: 20, grants: [{ courseId: 'comm-personality', attempts: 30 }] }]
+    });
+}
+
+function mockOrders(t, order) {
+    t.mock.method(Order, 'findOne', async () => order);
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.status?.$in && !filter.status.$in.includes(order.status)) return null;
+        Object.assign(order, update.$set);
+        return order;
+    });
+}
+
+test('the mock gateway is off unless enabled with a secret, and never in production', (t) => {
+    const mock = getGateway('mock');
+    enableMockGateway(t, { MOCK_GATEWAY_ENABLED: '', MOCK_GATEWAY_SECRET: '' });
+    assert.equal(mock.isConfigured(), false);
+
+    process.env.MOCK_GATEWAY_ENABLED = 'true';
+    assert.equal(mock.isConfigured(), false);
+
+    process.env.MOCK_GATEWAY_SECRET = 'test-secret';
+    assert.equal(mock.isConfigured(), true);
+
+    process.env.NODE_ENV = 'production';
+    assert.equal(mock.isConfigured(), false);
+});
+
+test('mock webhooks are only accepted with a valid signature', (t) => {
+    const mock = getGateway('mock');
+    enableMockGateway(t);
+    const body = { type: 'PAYMENT_SUCCESS', orderId: 'ORDER_1' };
+
+    assert.deepEqual(mock.parseWebhook(signedRequest(body)), { type: 'PAYMENT_SUCCESS', orderId: 'ORDER_1', reason: undefined });
+    assert.equal(mock.parseWebhook(signedRequest(body, 'f'.repeat(64))), null);
+    assert.equal(mock.parseWebhook({ headers: {}, body, rawBody: Buffer.from(JSON.stringify(body)) }), null);
+
+    // A body signed with another secret is rejected
+    const forged = signedRequest(body);
+    process.env.MOCK_GATEWAY_SECRET = 'other-secret';
+    assert.equal(mock.parseWebhook(forged), null);
+
+    // Once disabled, even a correctly signed body is rejected
+    process.env.MOCK_GATEWAY_ENABLED = 'false';
+    assert.equal(mock.parseWebhook(signedRequest(body)), null);
+});
+
+test('an event for an order placed with another gateway is rejected', async (t) => {
+    enableMockGateway(t);
+    const order = makeOrder('cashfree');
+    mockOrders(t, order);
+
+    await assert.rejects(
+        handleWebhookEvent(getGateway('mock'), { type: 'PAYMENT_SUCCESS', orderId: 'ORDER_1' }),
+        { code: 'GATEWAY_MISMATCH', status: 400 }
+    );
+    await assert.rejects(
+        handleWebhookEvent(getGateway('mock'), { type: 'PAYMENT_FAILED', orderId: 'ORDER_1', reason: 'declined' }),
+        { code: 'GATEWAY_MISMATCH' }
+    );
+    assert.equal(order.status, 'PENDING');
+    assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('orders from before the ledger only take Cashfree events', async (t) => {
+    enableMockGateway(t);
+    t.mock.method(Order, 'findOne', async () => null);
+
+    await assert.rejects(
+        handleWebhookEvent(getGateway('mock'), { type: 'PAYMENT_SUCCESS', orderId: 'ORDER_OLD' }),
+        { code: 'GATEWAY_MISMATCH' }
+    );
+});
+
+test('a success event for an order placed with the gateway marks it paid', async (t) => {
+    enableMockGateway(t);
+    const mock = getGateway('mock');
+    const order = makeOrder('mock');
+    mockOrders(t, order);
+    t.mock.method(User, 'findById', async () => null);
+
+    await mock.createOrder({ orderId: 'ORDER_1', amount: 49, currency: 'INR', customer: {}, returnUrl: '' });
+    settleMockOrder('ORDER_1', 'success');
+
+    await handleWebhookEvent(mock, { type: 'PAYMENT_SUCCESS', orderId: 'ORDER_1' });
+    assert.equal(order.status, 'PAID');
+    assert.ok(order.paidAt);
+});
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes.
+// Returns an array of rows, each an array of strings.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = String(text).replace(/^\uFEFF/, ''); // Strip BOM from Excel exports
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV with a header row into objects keyed by the (trimmed) header names
+export function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] !== undefined ? cells[i].trim() : ''])));
+}
+
+// Quote a value for CSV output. Cells starting with = + - @ are prefixed with ' so
+// spreadsheet apps don't run student-entered text as a formula.
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values) {
+    return values.map(toCsvCell).join(',') + '\r\n';
+}
@@ -0,0 +1,63 @@
+// GST state codes (the first two digits of a GSTIN), used for place of supply
+export const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh'
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const CODES_BY_NAME = new Map(Object.entries(GST_STATES).map(([code, name]) => [normalizeName(name), code]));
+CODES_BY_NAME.set('orissa', '21');
+CODES_BY_NAME.set('pondicherry', '34');
+CODES_BY_NAME.set('newdelhi', '07');
+
+// { code, name } for a state code ('27', '7') or name ('Maharashtra'), or null if unknown
+export function resolveGstState(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+
+    const code = /^\d{1,2}$/.test(text) ? text.padStart(2, '0') : CODES_BY_NAME.get(normalizeName(text));
+    return code && GST_STATES[code] ? { code, name: GST_STATES[code] } : null;
+}
+
+// 15 characters: state code, PAN, entity number, 'Z', check character
+export const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// The state a GSTIN is registered in
+export function stateFromGstin(gstin) {
+    return GSTIN_PATTERN.test(gstin || '') ? resolveGstState(gstin.slice(0, 2)) : null;
+}
@@ -0,0 +1,4 @@
+// Escape user input for use inside a RegExp / $regex (e.g. search boxes)
+export function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}